@@ -4,13 +4,22 @@ import { useAuth } from './context/AuthContext';
 import Navbar from './components/Navbar';
 import Login from './components/Login';
 import Register from './components/Register';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import OidcCallback from './components/OidcCallback';
 import Dashboard from './components/Dashboard';
 import TaskList from './components/TaskList';
 import CreateTask from './components/CreateTask';
+import TaskDetail from './components/TaskDetail';
+import Trash from './components/Trash';
+import ProjectList from './components/ProjectList';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import Profile from './components/Profile';
 import './App.css';
 
 function App() {
-  const { user, loading } = useAuth();
+  const { user, loading, twoFactorSetupRequired } = useAuth();
 
   if (loading) {
     return (
@@ -21,6 +30,13 @@ function App() {
     );
   }
 
+  // Admins who must enroll in 2FA are kept on the security page until they do
+  const protectedPage = (page) => {
+    if (!user) return <Navigate to="/login" />;
+    if (twoFactorSetupRequired) return <Navigate to="/security" />;
+    return page;
+  };
+
   return (
     <div className="App">
       {user && <Navbar />}
@@ -34,17 +50,53 @@ function App() {
             path="/register" 
             element={!user ? <Register /> : <Navigate to="/dashboard" />} 
           />
+          <Route 
+            path="/forgot-password" 
+            element={!user ? <ForgotPassword /> : <Navigate to="/dashboard" />} 
+          />
+          <Route 
+            path="/reset-password" 
+            element={<ResetPassword />} 
+          />
+          <Route 
+            path="/verify-email" 
+            element={<VerifyEmail />} 
+          />
+          <Route 
+            path="/oidc/callback" 
+            element={<OidcCallback />} 
+          />
           <Route 
             path="/dashboard" 
-            element={user ? <Dashboard /> : <Navigate to="/login" />} 
+            element={protectedPage(<Dashboard />)} 
           />
           <Route 
             path="/tasks" 
-            element={user ? <TaskList /> : <Navigate to="/login" />} 
+            element={protectedPage(<TaskList />)} 
           />
           <Route 
             path="/tasks/create" 
-            element={user ? <CreateTask /> : <Navigate to="/login" />} 
+            element={protectedPage(<CreateTask />)} 
+          />
+          <Route 
+            path="/tasks/trash" 
+            element={protectedPage(<Trash />)} 
+          />
+          <Route 
+            path="/tasks/:id" 
+            element={protectedPage(<TaskDetail />)} 
+          />
+          <Route 
+            path="/projects" 
+            element={protectedPage(<ProjectList />)} 
+          />
+          <Route 
+            path="/profile" 
+            element={protectedPage(<Profile />)} 
+          />
+          <Route 
+            path="/security" 
+            element={user ? <TwoFactorSettings /> : <Navigate to="/login" />} 
           />
           <Route 
             path="/" 
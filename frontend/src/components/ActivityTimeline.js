@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../services/api';
+
+const PAGE_SIZE = 20;
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'due date',
+  tags: 'tags',
+  project: 'project',
+  assignee: 'assignee',
+  watchers: 'watchers',
+  checklist: 'checklist',
+  autoComplete: 'auto-complete'
+};
+
+const ACTION_LABELS = {
+  created: 'created the task',
+  updated: 'updated the task',
+  deleted: 'moved the task to the trash',
+  restored: 'restored the task from the trash'
+};
+
+const truncate = (text, length = 80) => (
+  text.length > length ? `${text.slice(0, length)}…` : text
+);
+
+// A recorded value as text, resolving user, tag and project IDs through the references
+const formatValue = (field, value, references) => {
+  const userName = (id) => references.users[id]?.name || 'unknown user';
+  const tagName = (id) => references.tags[id]?.name || 'deleted tag';
+  const projectName = (id) => references.projects[id]?.name || 'deleted project';
+
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) {
+    return 'none';
+  }
+
+  switch (field) {
+    case 'dueDate':
+      return new Date(value).toLocaleDateString();
+    case 'assignee':
+      return userName(value);
+    case 'watchers':
+      return value.map(userName).join(', ');
+    case 'tags':
+      return value.map(tagName).join(', ');
+    case 'project':
+      return projectName(value);
+    case 'autoComplete':
+      return value ? 'on' : 'off';
+    default:
+      return truncate(String(value));
+  }
+};
+
+// Checklist changes as item-level sentences rather than two long lists
+const describeChecklist = (from = [], to = []) => {
+  const titles = (items) => items.map(item => item.title);
+  const added = to.filter(item => !titles(from).includes(item.title));
+  const removed = from.filter(item => !titles(to).includes(item.title));
+  const toggled = to.filter(item => from.some(old => old.title === item.title && old.done !== item.done));
+
+  const parts = [
+    ...added.map(item => `added "${item.title}"`),
+    ...removed.map(item => `removed "${item.title}"`),
+    ...toggled.map(item => `${item.done ? 'checked' : 'unchecked'} "${item.title}"`)
+  ];
+  return parts.length > 0 ? parts.join(', ') : 'reordered the items';
+};
+
+const Change = ({ change, references }) => {
+  if (change.field === 'checklist') {
+    return <li>Checklist: {describeChecklist(change.from, change.to)}</li>;
+  }
+
+  return (
+    <li>
+      Changed {FIELD_LABELS[change.field] || change.field} from{' '}
+      <em>{formatValue(change.field, change.from, references)}</em> to{' '}
+      <em>{formatValue(change.field, change.to, references)}</em>
+    </li>
+  );
+};
+
+// Activity timeline of a task; reloads whenever refreshKey changes
+const ActivityTimeline = ({ taskId, refreshKey }) => {
+  const [entries, setEntries] = useState([]);
+  const [references, setReferences] = useState({ users: {}, tags: {}, projects: {} });
+  const [pagination, setPagination] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async (page = 1) => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/history`, { params: { page, limit: PAGE_SIZE } });
+      const { history, references: newReferences, pagination: newPagination } = response.data.data;
+
+      setEntries(current => (page === 1 ? history : [...current, ...history]));
+      setReferences(current => (page === 1 ? newReferences : {
+        users: { ...current.users, ...newReferences.users },
+        tags: { ...current.tags, ...newReferences.tags },
+        projects: { ...current.projects, ...newReferences.projects }
+      }));
+      setPagination(newPagination);
+    } catch (error) {
+      console.error('Failed to fetch history:', error);
+      setError('Failed to fetch activity');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory, refreshKey]);
+
+  return (
+    <div className="activity">
+      <h3>Activity</h3>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <ul className="activity-timeline">
+        {entries.map(entry => (
+          <li key={entry._id} className={`activity-entry ${entry.action}`}>
+            <div className="activity-header">
+              <strong>{entry.actor?.name || 'System'}</strong> {ACTION_LABELS[entry.action]}
+              <span>{new Date(entry.createdAt).toLocaleString()}</span>
+            </div>
+            {entry.changes.length > 0 && (
+              <ul className="activity-changes">
+                {entry.changes.map(change => (
+                  <Change key={change.field} change={change} references={references} />
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {pagination && pagination.page < pagination.pages && (
+        <button type="button" className="btn btn-secondary" onClick={() => fetchHistory(pagination.page + 1)}>
+          Show Older Activity
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Files attached to a task. Writers can upload; the uploader and the task owner can remove.
+const Attachments = ({ task, canUpload }) => {
+  const { user } = useAuth();
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const response = await api.get(`/tasks/${task._id}/attachments`);
+      setAttachments(response.data.data.attachments);
+    } catch (error) {
+      console.error('Failed to fetch attachments:', error);
+      setError('Failed to fetch attachments');
+    }
+  }, [task._id]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError('');
+    setUploading(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      // Override the JSON default, which would make axios serialize the form data as JSON.
+      // The browser fills in the multipart boundary.
+      await api.post(`/tasks/${task._id}/attachments`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      await fetchAttachments();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to upload file');
+    } finally {
+      setUploading(false);
+      fileInput.current.value = '';
+    }
+  };
+
+  // Downloads need the auth header, so fetch the file and hand it to the browser as a blob
+  const handleDownload = async (attachment) => {
+    setError('');
+    try {
+      const response = await api.get(
+        `/tasks/${task._id}/attachments/${attachment._id}/download`,
+        { responseType: 'blob' }
+      );
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Failed to download file:', error);
+      setError('Failed to download file');
+    }
+  };
+
+  const handleRemove = async (attachment) => {
+    if (!window.confirm(`Remove ${attachment.filename}?`)) return;
+
+    setError('');
+    try {
+      await api.delete(`/tasks/${task._id}/attachments/${attachment._id}`);
+      await fetchAttachments();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to remove file');
+    }
+  };
+
+  const canRemove = (attachment) => (
+    user?.role === 'admin'
+    || attachment.uploadedBy?._id === user?._id
+    || task.createdBy?._id === user?._id
+  );
+
+  return (
+    <div className="attachments">
+      <h3>Attachments {attachments.length > 0 && `(${attachments.length})`}</h3>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      {attachments.length === 0 ? (
+        <p className="attachments-empty">No files attached.</p>
+      ) : (
+        <ul className="attachment-list">
+          {attachments.map(attachment => (
+            <li key={attachment._id}>
+              <button type="button" className="btn-link" onClick={() => handleDownload(attachment)}>
+                {attachment.filename}
+              </button>
+              <span className="attachment-meta">
+                {formatSize(attachment.size)} · {attachment.uploadedBy?.name || 'Unknown user'} · {new Date(attachment.createdAt).toLocaleDateString()}
+              </span>
+              {canRemove(attachment) && (
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => handleRemove(attachment)}
+                  aria-label={`Remove ${attachment.filename}`}
+                >
+                  ✕
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canUpload && (
+        <label className="btn btn-secondary attachment-upload">
+          {uploading ? 'Uploading...' : 'Attach File'}
+          <input
+            type="file"
+            ref={fileInput}
+            onChange={handleUpload}
+            disabled={uploading}
+            hidden
+          />
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default Attachments;
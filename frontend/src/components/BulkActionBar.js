@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+
+// Actions for the selected tasks; onComplete gets the bulk response data, or an error message
+const BulkActionBar = ({ selectedIds, tags, onComplete, onClear }) => {
+  const [dueDate, setDueDate] = useState('');
+  const [tagId, setTagId] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const run = async (body) => {
+    setWorking(true);
+    try {
+      const response = await api.post('/tasks/bulk', { ids: selectedIds, ...body });
+      onComplete(body.action, response.data);
+    } catch (error) {
+      console.error('Bulk action failed:', error);
+      onComplete(body.action, null, error.response?.data?.message || 'Bulk action failed');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const update = (changes) => run({ action: 'update', changes });
+
+  const handleSelect = (field) => (e) => {
+    if (e.target.value) update({ [field]: e.target.value });
+  };
+
+  const handleTag = (field) => {
+    update({ [field]: [tagId] });
+    setTagId('');
+  };
+
+  return (
+    <div className="bulk-action-bar">
+      <strong>{selectedIds.length} selected</strong>
+
+      <select value="" onChange={handleSelect('status')} disabled={working} aria-label="Set status">
+        <option value="">Set status...</option>
+        <option value="pending">Pending</option>
+        <option value="in-progress">In Progress</option>
+        <option value="completed">Completed</option>
+      </select>
+
+      <select value="" onChange={handleSelect('priority')} disabled={working} aria-label="Set priority">
+        <option value="">Set priority...</option>
+        <option value="low">Low</option>
+        <option value="medium">Medium</option>
+        <option value="high">High</option>
+      </select>
+
+      <span className="bulk-action-group">
+        <input
+          type="date"
+          value={dueDate}
+          onChange={(e) => setDueDate(e.target.value)}
+          disabled={working}
+          aria-label="Due date"
+        />
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => update({ dueDate: dueDate || null })}
+          disabled={working}
+        >
+          {dueDate ? 'Set Due Date' : 'Clear Due Date'}
+        </button>
+      </span>
+
+      {tags.length > 0 && (
+        <span className="bulk-action-group">
+          <select value={tagId} onChange={(e) => setTagId(e.target.value)} disabled={working} aria-label="Tag">
+            <option value="">Tag...</option>
+            {tags.map(tag => (
+              <option key={tag._id} value={tag._id}>{tag.name}</option>
+            ))}
+          </select>
+          <button type="button" className="btn btn-secondary" onClick={() => handleTag('addTags')} disabled={working || !tagId}>
+            Add
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => handleTag('removeTags')} disabled={working || !tagId}>
+            Remove
+          </button>
+        </span>
+      )}
+
+      <button type="button" className="btn btn-danger" onClick={() => run({ action: 'delete' })} disabled={working}>
+        Delete
+      </button>
+
+      <button type="button" className="btn-link" onClick={onClear} disabled={working}>
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import api from '../services/api';
+
+// Checklist editor for a task; every change hands the updated task to onChange
+const Checklist = ({ task, onChange, readOnly = false }) => {
+  const [title, setTitle] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const request = async (action) => {
+    setError('');
+    setSaving(true);
+
+    try {
+      const response = await action();
+      onChange(response.data.data.task);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to update checklist');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+
+    await request(() => api.post(`/tasks/${task._id}/checklist`, { title: title.trim() }));
+    setTitle('');
+  };
+
+  const handleToggle = (item) => request(() => (
+    api.patch(`/tasks/${task._id}/checklist/${item._id}`, { done: !item.done })
+  ));
+
+  const handleRemove = (item) => request(() => (
+    api.delete(`/tasks/${task._id}/checklist/${item._id}`)
+  ));
+
+  const handleMove = (index, offset) => {
+    const itemIds = task.checklist.map(item => item._id);
+    const [moved] = itemIds.splice(index, 1);
+    itemIds.splice(index + offset, 0, moved);
+
+    return request(() => api.put(`/tasks/${task._id}/checklist/order`, { itemIds }));
+  };
+
+  const handleAutoComplete = (e) => request(() => (
+    api.put(`/tasks/${task._id}`, { autoComplete: e.target.checked })
+  ));
+
+  const done = task.checklist.filter(item => item.done).length;
+
+  return (
+    <div className="checklist">
+      <h3>Checklist {task.checklist.length > 0 && `(${done}/${task.checklist.length})`}</h3>
+
+      {task.progress !== null && task.progress !== undefined && (
+        <div className="progress-bar" title={`${task.progress}% done`}>
+          <div className="progress-bar-fill" style={{ width: `${task.progress}%` }} />
+        </div>
+      )}
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <ul className="checklist-items">
+        {task.checklist.map((item, index) => (
+          <li key={item._id} className={item.done ? 'done' : ''}>
+            <label>
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={() => handleToggle(item)}
+                disabled={saving || readOnly}
+              />
+              {item.title}
+            </label>
+            {!readOnly && (
+              <div className="checklist-item-actions">
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => handleMove(index, -1)}
+                  disabled={saving || index === 0}
+                  aria-label="Move up"
+                >
+                  ↑
+                </button>
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => handleMove(index, 1)}
+                  disabled={saving || index === task.checklist.length - 1}
+                  aria-label="Move down"
+                >
+                  ↓
+                </button>
+                <button
+                  type="button"
+                  className="btn-link"
+                  onClick={() => handleRemove(item)}
+                  disabled={saving}
+                  aria-label="Remove"
+                >
+                  ✕
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!readOnly && (
+        <>
+          <form onSubmit={handleAdd} className="checklist-add">
+            <input
+              type="text"
+              placeholder="Add an item"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              disabled={saving}
+              maxLength="200"
+            />
+            <button type="submit" className="btn btn-secondary" disabled={saving}>
+              Add
+            </button>
+          </form>
+
+          <label className="checklist-auto-complete">
+            <input
+              type="checkbox"
+              checked={Boolean(task.autoComplete)}
+              onChange={handleAutoComplete}
+              disabled={saving}
+            />
+            Complete the task automatically when every item is done
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Checklist;
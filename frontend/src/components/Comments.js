@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+// Text box used for new comments, replies and edits
+const CommentForm = ({ initialBody = '', submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(body.trim());
+    setSaving(false);
+    if (saved && !initialBody) {
+      setBody('');
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="comment-form">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        disabled={saving}
+        maxLength="2000"
+        rows="3"
+        placeholder="Write a comment..."
+      />
+      <div className="comment-form-actions">
+        <button type="submit" className="btn btn-primary" disabled={saving}>
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+        {onCancel && (
+          <button type="button" className="btn btn-secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const CommentThread = ({ comment, user, actions }) => {
+  const [mode, setMode] = useState(null);
+  const isAuthor = comment.author?._id === user?._id;
+
+  const finish = (saved) => {
+    if (saved) setMode(null);
+    return saved;
+  };
+
+  return (
+    <li className="comment">
+      {comment.deletedAt ? (
+        <p className="comment-deleted">This comment was deleted.</p>
+      ) : (
+        <>
+          <div className="comment-header">
+            <strong>{comment.author?.name || 'Unknown user'}</strong>
+            <span>{new Date(comment.createdAt).toLocaleString()}</span>
+            {comment.editedAt && (
+              <span title={`Edited ${new Date(comment.editedAt).toLocaleString()}`}>(edited)</span>
+            )}
+          </div>
+
+          {mode === 'edit' ? (
+            <CommentForm
+              initialBody={comment.body}
+              submitLabel="Save"
+              onSubmit={async (body) => finish(await actions.edit(comment, body))}
+              onCancel={() => setMode(null)}
+            />
+          ) : (
+            <p className="comment-body">{comment.body}</p>
+          )}
+
+          {mode === null && (
+            <div className="comment-actions">
+              <button type="button" className="btn-link" onClick={() => setMode('reply')}>Reply</button>
+              {isAuthor && (
+                <button type="button" className="btn-link" onClick={() => setMode('edit')}>Edit</button>
+              )}
+              {(isAuthor || user?.role === 'admin') && (
+                <button type="button" className="btn-link" onClick={() => actions.remove(comment)}>Delete</button>
+              )}
+            </div>
+          )}
+
+          {mode === 'reply' && (
+            <CommentForm
+              submitLabel="Reply"
+              onSubmit={async (body) => finish(await actions.add(body, comment._id))}
+              onCancel={() => setMode(null)}
+            />
+          )}
+        </>
+      )}
+
+      {comment.replies.length > 0 && (
+        <ul className="comment-replies">
+          {comment.replies.map(reply => (
+            <CommentThread key={reply._id} comment={reply} user={user} actions={actions} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const Comments = ({ taskId }) => {
+  const { user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [error, setError] = useState('');
+
+  const fetchComments = useCallback(async () => {
+    try {
+      const response = await api.get(`/tasks/${taskId}/comments`);
+      setComments(response.data.data.comments);
+      setTotal(response.data.data.total);
+    } catch (error) {
+      console.error('Failed to fetch comments:', error);
+      setError('Failed to fetch comments');
+    }
+  }, [taskId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  // Each action reloads the threads and reports whether it succeeded
+  const request = async (action) => {
+    setError('');
+    try {
+      await action();
+      await fetchComments();
+      return true;
+    } catch (error) {
+      setError(error.response?.data?.message || 'Request failed');
+      return false;
+    }
+  };
+
+  const actions = {
+    add: (body, parentId) => request(() => (
+      api.post(`/tasks/${taskId}/comments`, { body, ...(parentId && { parentId }) })
+    )),
+    edit: (comment, body) => request(() => (
+      api.put(`/tasks/${taskId}/comments/${comment._id}`, { body })
+    )),
+    remove: (comment) => {
+      if (!window.confirm('Delete this comment?')) return false;
+      return request(() => api.delete(`/tasks/${taskId}/comments/${comment._id}`));
+    }
+  };
+
+  return (
+    <div className="comments">
+      <h3>Comments ({total})</h3>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <ul className="comment-list">
+        {comments.map(comment => (
+          <CommentThread key={comment._id} comment={comment} user={user} actions={actions} />
+        ))}
+      </ul>
+
+      <CommentForm submitLabel="Comment" onSubmit={(body) => actions.add(body)} />
+    </div>
+  );
+};
+
+export default Comments;
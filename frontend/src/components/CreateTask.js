@@ -1,139 +1,32 @@
-import React, { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../services/api';
+import TaskForm from './TaskForm';
 
 const CreateTask = () => {
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    priority: 'medium',
-    dueDate: ''
-  });
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
-  
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Opened from a project's task list, new tasks go in that project
+  const projectId = searchParams.get('project');
+  const backTo = projectId ? `/tasks?project=${projectId}` : '/tasks';
 
-  const handleChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value
-    });
-  };
-
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setError('');
-    setLoading(true);
-
-    try {
-      const taskData = { ...formData };
-      if (taskData.dueDate) {
-        taskData.dueDate = new Date(taskData.dueDate).toISOString();
-      } else {
-        delete taskData.dueDate;
-      }
-
-      await api.post('/tasks', taskData);
-      navigate('/tasks');
-    } catch (error) {
-      console.error('Failed to create task:', error);
-      setError(error.response?.data?.message || 'Failed to create task');
-    } finally {
-      setLoading(false);
-    }
+  const handleSubmit = async (taskData) => {
+    await api.post('/tasks', taskData);
+    navigate(backTo);
   };
 
   return (
     <div className="form-container" style={{ maxWidth: '600px' }}>
       <h2>Create New Task</h2>
-      
-      {error && (
-        <div className="alert alert-error">
-          {error}
-        </div>
-      )}
-      
-      <form onSubmit={handleSubmit}>
-        <div className="form-group">
-          <label htmlFor="title">Task Title</label>
-          <input
-            type="text"
-            id="title"
-            name="title"
-            value={formData.title}
-            onChange={handleChange}
-            required
-            disabled={loading}
-            maxLength="100"
-          />
-        </div>
-        
-        <div className="form-group">
-          <label htmlFor="description">Description</label>
-          <textarea
-            id="description"
-            name="description"
-            value={formData.description}
-            onChange={handleChange}
-            required
-            disabled={loading}
-            maxLength="500"
-            rows="4"
-          />
-        </div>
-        
-        <div className="form-group">
-          <label htmlFor="priority">Priority</label>
-          <select
-            id="priority"
-            name="priority"
-            value={formData.priority}
-            onChange={handleChange}
-            disabled={loading}
-          >
-            <option value="low">Low</option>
-            <option value="medium">Medium</option>
-            <option value="high">High</option>
-          </select>
-        </div>
-        
-        <div className="form-group">
-          <label htmlFor="dueDate">Due Date (Optional)</label>
-          <input
-            type="date"
-            id="dueDate"
-            name="dueDate"
-            value={formData.dueDate}
-            onChange={handleChange}
-            disabled={loading}
-            min={new Date().toISOString().split('T')[0]}
-          />
-        </div>
-        
-        <div style={{ display: 'flex', gap: '15px' }}>
-          <button 
-            type="submit" 
-            className="btn btn-primary"
-            disabled={loading}
-            style={{ flex: 1 }}
-          >
-            {loading ? 'Creating...' : 'Create Task'}
-          </button>
-          
-          <button 
-            type="button" 
-            onClick={() => navigate('/tasks')}
-            className="btn btn-secondary"
-            disabled={loading}
-            style={{ flex: 1 }}
-          >
-            Cancel
-          </button>
-        </div>
-      </form>
+
+      <TaskForm
+        task={projectId ? { project: projectId } : undefined}
+        submitLabel="Create Task"
+        onSubmit={handleSubmit}
+        onCancel={() => navigate(backTo)}
+      />
     </div>
   );
 };
 
-export default CreateTask;
\ No newline at end of file
+export default CreateTask;
@@ -13,6 +13,7 @@ const Dashboard = () => {
   });
   const [recentTasks, setRecentTasks] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [verificationMessage, setVerificationMessage] = useState('');
 
   useEffect(() => {
     fetchDashboardData();
@@ -39,6 +40,15 @@ const Dashboard = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification', { email: user.email });
+      setVerificationMessage(response.data.message);
+    } catch (error) {
+      setVerificationMessage(error.response?.data?.message || 'Failed to send verification email');
+    }
+  };
+
   if (loading) {
     return (
       <div className="loading-container">
@@ -52,6 +62,16 @@ const Dashboard = () => {
     <div className="dashboard">
       <h1>Welcome back, {user?.name}!</h1>
       
+      {user && !user.emailVerified && (
+        <div className="alert alert-error">
+          Please verify your email address to create and edit tasks.{' '}
+          <button onClick={handleResendVerification} className="btn-link">
+            Resend verification email
+          </button>
+          {verificationMessage && <p>{verificationMessage}</p>}
+        </div>
+      )}
+      
       <div className="dashboard-stats">
         <div className="stat-card">
           <h3>{stats.total}</h3>
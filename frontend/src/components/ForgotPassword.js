@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      setMessage(response.data.message);
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to request password reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="form-container">
+      <h2>Forgot Password</h2>
+      
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="alert alert-success">
+          {message}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="email">Email</label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            required
+            disabled={loading}
+          />
+        </div>
+        
+        <button 
+          type="submit" 
+          className="btn btn-primary"
+          disabled={loading}
+        >
+          {loading ? 'Sending...' : 'Send Reset Link'}
+        </button>
+      </form>
+      
+      <div className="form-link">
+        <p>Remembered it? <Link to="/login">Back to login</Link></p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,17 +1,39 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import TwoFactorChallenge from './TwoFactorChallenge';
+import api from '../services/api';
 
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
     password: ''
   });
-  const [error, setError] = useState('');
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState(searchParams.get('error') || '');
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [sso, setSso] = useState(null);
   
   const { login } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const notice = location.state?.message;
+
+  useEffect(() => {
+    const fetchSsoConfig = async () => {
+      try {
+        const response = await api.get('/auth/oidc/config');
+        if (response.data.data.enabled) {
+          setSso(response.data.data);
+        }
+      } catch (error) {
+        console.error('Failed to fetch SSO config:', error);
+      }
+    };
+
+    fetchSsoConfig();
+  }, []);
 
   const handleChange = (e) => {
     setFormData({
@@ -28,7 +50,9 @@ const Login = () => {
     const result = await login(formData.email, formData.password);
     
     if (result.success) {
-      navigate('/dashboard');
+      navigate(result.twoFactorSetupRequired ? '/security' : '/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     } else {
       setError(result.message);
     }
@@ -36,10 +60,25 @@ const Login = () => {
     setLoading(false);
   };
 
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onCancel={() => setChallengeToken(null)}
+      />
+    );
+  }
+
   return (
     <div className="form-container">
       <h2>Login</h2>
       
+      {notice && !error && (
+        <div className="alert alert-success">
+          {notice}
+        </div>
+      )}
+      
       {error && (
         <div className="alert alert-error">
           {error}
@@ -82,7 +121,14 @@ const Login = () => {
         </button>
       </form>
       
+      {sso && (
+        <a href={sso.loginUrl} className="btn btn-secondary btn-sso">
+          Sign in with {sso.providerName}
+        </a>
+      )}
+      
       <div className="form-link">
+        <p><Link to="/forgot-password">Forgot your password?</Link></p>
         <p>Don't have an account? <Link to="/register">Register here</Link></p>
       </div>
     </div>
@@ -1,14 +1,49 @@
-import React from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
 import './Navbar.css';
 
+// Value of the switcher option that opens the project page
+const MANAGE_PROJECTS = 'manage';
+
 const Navbar = () => {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const [projects, setProjects] = useState([]);
+
+  // Reloaded on navigation, so projects created or archived elsewhere show up
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        const response = await api.get('/projects', { params: { archived: 'all' } });
+        setProjects(response.data.data.projects);
+      } catch (error) {
+        console.error('Failed to fetch projects:', error);
+      }
+    };
+
+    fetchProjects();
+  }, [location.pathname]);
 
-  const handleLogout = () => {
-    logout();
+  const currentProject = location.pathname === '/tasks'
+    ? new URLSearchParams(location.search).get('project') || ''
+    : '';
+  const activeProjects = projects.filter(project => !project.archived);
+  const archivedProjects = projects.filter(project => project.archived);
+
+  const handleProjectChange = (e) => {
+    const { value } = e.target;
+    if (value === MANAGE_PROJECTS) {
+      navigate('/projects');
+    } else {
+      navigate(value ? `/tasks?project=${value}` : '/tasks');
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -19,6 +54,26 @@ const Navbar = () => {
           Task Manager
         </Link>
         
+        <select
+          className="project-switcher"
+          value={currentProject}
+          onChange={handleProjectChange}
+          aria-label="Project"
+        >
+          <option value="">All Projects</option>
+          {activeProjects.map(project => (
+            <option key={project._id} value={project._id}>{project.name}</option>
+          ))}
+          {archivedProjects.length > 0 && (
+            <optgroup label="Archived">
+              {archivedProjects.map(project => (
+                <option key={project._id} value={project._id}>{project.name}</option>
+              ))}
+            </optgroup>
+          )}
+          <option value={MANAGE_PROJECTS}>Manage Projects…</option>
+        </select>
+        
         <div className="navbar-menu">
           <Link to="/dashboard" className="navbar-link">
             Dashboard
@@ -29,6 +84,12 @@ const Navbar = () => {
           <Link to="/tasks/create" className="navbar-link">
             Create Task
           </Link>
+          <Link to="/tasks/trash" className="navbar-link">
+            Trash
+          </Link>
+          <Link to="/profile" className="navbar-link">
+            Profile
+          </Link>
         </div>
         
         <div className="navbar-user">
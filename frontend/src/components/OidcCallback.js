@@ -0,0 +1,55 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import TwoFactorChallenge from './TwoFactorChallenge';
+
+const OidcCallback = () => {
+  const { loginWithTokens } = useAuth();
+  const navigate = useNavigate();
+  const handled = useRef(false);
+  const [challengeToken, setChallengeToken] = useState(null);
+
+  useEffect(() => {
+    if (handled.current) return;
+    handled.current = true;
+
+    // The API puts the tokens in the URL fragment; drop it from history right away
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const token = params.get('token');
+    const refreshToken = params.get('refreshToken');
+    window.history.replaceState(null, '', window.location.pathname);
+
+    // Accounts with 2FA get a challenge for the second step instead of tokens
+    if (params.get('challengeToken')) {
+      setChallengeToken(params.get('challengeToken'));
+      return;
+    }
+
+    if (!token || !refreshToken) {
+      navigate('/login?error=Single%20sign-on%20failed', { replace: true });
+      return;
+    }
+
+    loginWithTokens(token, refreshToken).then(() => {
+      navigate(params.get('twoFactorSetupRequired') ? '/security' : '/dashboard', { replace: true });
+    });
+  }, [loginWithTokens, navigate]);
+
+  if (challengeToken) {
+    return (
+      <TwoFactorChallenge
+        challengeToken={challengeToken}
+        onCancel={() => navigate('/login', { replace: true })}
+      />
+    );
+  }
+
+  return (
+    <div className="loading-container">
+      <div className="loading-spinner"></div>
+      <p>Signing you in...</p>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const Profile = () => {
+  const { user, updateProfile, changePassword, logoutAll } = useAuth();
+  const navigate = useNavigate();
+  const [profile, setProfile] = useState({
+    name: user?.name || '',
+    email: user?.email || ''
+  });
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [profileStatus, setProfileStatus] = useState({});
+  const [passwordStatus, setPasswordStatus] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleProfileChange = (e) => {
+    setProfile({
+      ...profile,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handlePasswordChange = (e) => {
+    setPasswords({
+      ...passwords,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault();
+    setProfileStatus({});
+    setLoading(true);
+
+    const result = await updateProfile(profile);
+    setProfileStatus(result.success ? { message: result.message } : { error: result.message });
+
+    setLoading(false);
+  };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+    setPasswordStatus({});
+
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setPasswordStatus({ error: 'New passwords do not match' });
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await changePassword(passwords.currentPassword, passwords.newPassword);
+    if (result.success) {
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+      setPasswordStatus({ message: `${result.message}. Your other sessions have been signed out.` });
+    } else {
+      setPasswordStatus({ error: result.message });
+    }
+
+    setLoading(false);
+  };
+
+  const handleLogoutAll = async () => {
+    if (window.confirm('Log out of all devices?')) {
+      await logoutAll();
+      navigate('/login');
+    }
+  };
+
+  return (
+    <div className="form-container" style={{ maxWidth: '600px' }}>
+      <h2>Profile</h2>
+
+      <form onSubmit={handleProfileSubmit}>
+        {profileStatus.error && (
+          <div className="alert alert-error">
+            {profileStatus.error}
+          </div>
+        )}
+
+        {profileStatus.message && (
+          <div className="alert alert-success">
+            {profileStatus.message}
+          </div>
+        )}
+
+        {user?.pendingEmail && (
+          <div className="alert alert-success">
+            A confirmation link was sent to <strong>{user.pendingEmail}</strong>. Your email address changes once you open it.
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="name">Name</label>
+          <input
+            type="text"
+            id="name"
+            name="name"
+            value={profile.name}
+            onChange={handleProfileChange}
+            required
+            disabled={loading}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="email">Email</label>
+          <input
+            type="email"
+            id="email"
+            name="email"
+            value={profile.email}
+            onChange={handleProfileChange}
+            required
+            disabled={loading}
+          />
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={loading}>
+          {loading ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+
+      <form onSubmit={handlePasswordSubmit}>
+        <h3>Change Password</h3>
+
+        {passwordStatus.error && (
+          <div className="alert alert-error">
+            {passwordStatus.error}
+          </div>
+        )}
+
+        {passwordStatus.message && (
+          <div className="alert alert-success">
+            {passwordStatus.message}
+          </div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="currentPassword">Current Password</label>
+          <input
+            type="password"
+            id="currentPassword"
+            name="currentPassword"
+            value={passwords.currentPassword}
+            onChange={handlePasswordChange}
+            required
+            disabled={loading}
+            autoComplete="current-password"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="newPassword">New Password</label>
+          <input
+            type="password"
+            id="newPassword"
+            name="newPassword"
+            value={passwords.newPassword}
+            onChange={handlePasswordChange}
+            required
+            disabled={loading}
+            minLength="6"
+            autoComplete="new-password"
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="confirmPassword">Confirm New Password</label>
+          <input
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            value={passwords.confirmPassword}
+            onChange={handlePasswordChange}
+            required
+            disabled={loading}
+            minLength="6"
+            autoComplete="new-password"
+          />
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={loading}>
+          {loading ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      <h3>Security</h3>
+      <p>
+        Two-factor authentication is <strong>{user?.twoFactorEnabled ? 'enabled' : 'disabled'}</strong>.{' '}
+        <Link to="/security">Manage two-factor authentication</Link>
+      </p>
+      <button onClick={handleLogoutAll} className="btn btn-secondary">
+        Log Out of All Devices
+      </button>
+    </div>
+  );
+};
+
+export default Profile;
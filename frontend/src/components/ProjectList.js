@@ -0,0 +1,196 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const DEFAULT_COLOR = '#6610f2';
+
+const EMPTY_PROJECT = { name: '', description: '', color: DEFAULT_COLOR };
+
+// Create, edit, archive and delete projects
+const ProjectList = () => {
+  const [projects, setProjects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+  const [newProject, setNewProject] = useState(EMPTY_PROJECT);
+  const [editing, setEditing] = useState(null);
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      const response = await api.get('/projects', { params: { archived: 'all' } });
+      setProjects(response.data.data.projects);
+    } catch (error) {
+      console.error('Failed to fetch projects:', error);
+      setMessage('Failed to fetch projects');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const request = async (action, successMessage, failureMessage) => {
+    try {
+      await action();
+      setMessage(successMessage);
+      fetchProjects();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      setMessage(error.response?.data?.message || failureMessage);
+      return false;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const created = await request(
+      () => api.post('/projects', newProject),
+      'Project created successfully',
+      'Failed to create project'
+    );
+    if (created) setNewProject(EMPTY_PROJECT);
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    const { _id, name, description, color } = editing;
+    const updated = await request(
+      () => api.put(`/projects/${_id}`, { name, description, color }),
+      'Project updated successfully',
+      'Failed to update project'
+    );
+    if (updated) setEditing(null);
+  };
+
+  const handleArchive = (project) => request(
+    () => api.put(`/projects/${project._id}`, { archived: !project.archived }),
+    project.archived ? 'Project restored successfully' : 'Project archived successfully',
+    project.archived ? 'Failed to restore project' : 'Failed to archive project'
+  );
+
+  const handleDelete = (project) => {
+    if (!window.confirm(`Delete "${project.name}"? Its tasks are kept, outside any project.`)) return;
+
+    request(
+      () => api.delete(`/projects/${project._id}`),
+      'Project deleted successfully',
+      'Failed to delete project'
+    );
+  };
+
+  // Name, color and description inputs, shared by the create and edit forms
+  const projectFields = (project, onChange) => (
+    <>
+      <div className="project-form-row">
+        <input
+          type="text"
+          placeholder="Project name"
+          value={project.name}
+          onChange={(e) => onChange({ ...project, name: e.target.value })}
+          required
+          maxLength="50"
+        />
+        <input
+          type="color"
+          value={project.color}
+          onChange={(e) => onChange({ ...project, color: e.target.value })}
+          aria-label="Project color"
+        />
+      </div>
+      <textarea
+        placeholder="Description (optional)"
+        value={project.description}
+        onChange={(e) => onChange({ ...project, description: e.target.value })}
+        maxLength="500"
+        rows="2"
+      />
+    </>
+  );
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading projects...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-list">
+      <div className="task-list-header">
+        <h1>Projects</h1>
+      </div>
+
+      {message && (
+        <div className={`alert ${message.includes('successfully') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+
+      <form className="project-form" onSubmit={handleCreate}>
+        {projectFields(newProject, setNewProject)}
+        <button type="submit" className="btn btn-primary">
+          Create Project
+        </button>
+      </form>
+
+      {projects.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '50px' }}>
+          <p>No projects yet. Create one to group related tasks.</p>
+        </div>
+      ) : (
+        <div className="task-grid">
+          {projects.map(project => (
+            <div
+              key={project._id}
+              className={`task-card project-card ${project.archived ? 'archived' : ''}`}
+              style={{ borderTopColor: project.color }}
+            >
+              {editing?._id === project._id ? (
+                <form className="project-form" onSubmit={handleUpdate}>
+                  {projectFields(editing, setEditing)}
+                  <div className="task-actions">
+                    <button type="submit" className="btn btn-primary">Save</button>
+                    <button type="button" className="btn btn-secondary" onClick={() => setEditing(null)}>
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <>
+                  <h3>
+                    <Link to={`/tasks?project=${project._id}`} className="task-title-link">
+                      {project.name}
+                    </Link>
+                    {project.archived && <span className="project-archived">Archived</span>}
+                  </h3>
+                  {project.description && <p>{project.description}</p>}
+                  <p>
+                    {project.completedCount} of {project.taskCount} {project.taskCount === 1 ? 'task' : 'tasks'} completed
+                  </p>
+
+                  <div className="task-actions">
+                    <button onClick={() => setEditing(project)} className="btn btn-secondary">
+                      Edit
+                    </button>
+                    <button onClick={() => handleArchive(project)} className="btn btn-secondary">
+                      {project.archived ? 'Restore' : 'Archive'}
+                    </button>
+                    <button onClick={() => handleDelete(project)} className="btn btn-danger">
+                      Delete
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectList;
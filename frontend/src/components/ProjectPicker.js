@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Select one of the user's active projects, or none. current is the project the task is
+// in already, listed even when archived so editing the task does not move it out.
+const ProjectPicker = ({ id, value, current, onChange, disabled }) => {
+  const [projects, setProjects] = useState([]);
+
+  useEffect(() => {
+    const fetchProjects = async () => {
+      try {
+        const response = await api.get('/projects');
+        setProjects(response.data.data.projects);
+      } catch (error) {
+        console.error('Failed to fetch projects:', error);
+      }
+    };
+
+    fetchProjects();
+  }, []);
+
+  const options = current?.archived && !projects.some(project => project._id === current._id)
+    ? [...projects, current]
+    : projects;
+
+  return (
+    <select
+      id={id}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      disabled={disabled}
+    >
+      <option value="">No project</option>
+      {options.map(project => (
+        <option key={project._id} value={project._id}>
+          {project.name}{project.archived ? ' (archived)' : ''}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default ProjectPicker;
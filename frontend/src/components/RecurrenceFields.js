@@ -0,0 +1,167 @@
+import React from 'react';
+
+const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+const UNITS = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+export const EMPTY_RECURRENCE = {
+  frequency: '',
+  interval: 1,
+  byWeekday: [],
+  ends: 'never',
+  until: '',
+  count: 10
+};
+
+// Form fields from a recurrence rule as returned by the API
+export const toRecurrenceForm = (rule) => (rule ? {
+  frequency: rule.frequency,
+  interval: rule.interval || 1,
+  byWeekday: rule.byWeekday || [],
+  ends: rule.until ? 'until' : rule.count ? 'count' : 'never',
+  until: rule.until ? rule.until.split('T')[0] : '',
+  count: rule.count || 10
+} : EMPTY_RECURRENCE);
+
+// The rule to send to the API, or null when the task does not repeat
+export const toRecurrenceRule = (form) => {
+  if (!form.frequency) return null;
+
+  const rule = { frequency: form.frequency, interval: Number(form.interval) || 1 };
+  if (form.frequency === 'weekly' && form.byWeekday.length > 0) {
+    rule.byWeekday = form.byWeekday;
+  }
+  if (form.ends === 'until' && form.until) {
+    rule.until = new Date(form.until).toISOString();
+  } else if (form.ends === 'count') {
+    rule.count = Number(form.count) || 1;
+  }
+  return rule;
+};
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Wed, 10 times"
+export const describeRecurrence = (rule) => {
+  const interval = rule.interval || 1;
+  let text = interval === 1
+    ? `Every ${UNITS[rule.frequency]}`
+    : `Every ${interval} ${UNITS[rule.frequency]}s`;
+
+  if (rule.byWeekday?.length > 0) {
+    const days = WEEKDAYS.filter(day => rule.byWeekday.includes(day.code)).map(day => day.label);
+    text += ` on ${days.join(', ')}`;
+  }
+  if (rule.until) {
+    text += `, until ${new Date(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+};
+
+// Repeat settings for the task form; value and onChange use the form fields above
+const RecurrenceFields = ({ value, onChange, disabled }) => {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const toggleWeekday = (code) => update({
+    byWeekday: value.byWeekday.includes(code)
+      ? value.byWeekday.filter(day => day !== code)
+      : [...value.byWeekday, code]
+  });
+
+  return (
+    <div className="recurrence-fields">
+      <div className="recurrence-row">
+        <select
+          id="frequency"
+          value={value.frequency}
+          onChange={(e) => update({ frequency: e.target.value })}
+          disabled={disabled}
+        >
+          <option value="">Does not repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+
+        {value.frequency && (
+          <label>
+            every
+            <input
+              type="number"
+              min="1"
+              max="99"
+              value={value.interval}
+              onChange={(e) => update({ interval: e.target.value })}
+              disabled={disabled}
+            />
+            {UNITS[value.frequency]}(s)
+          </label>
+        )}
+      </div>
+
+      {value.frequency === 'weekly' && (
+        <div className="recurrence-weekdays">
+          {WEEKDAYS.map(day => (
+            <label key={day.code}>
+              <input
+                type="checkbox"
+                checked={value.byWeekday.includes(day.code)}
+                onChange={() => toggleWeekday(day.code)}
+                disabled={disabled}
+              />
+              {day.label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {value.frequency && (
+        <div className="recurrence-row">
+          <select
+            value={value.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            disabled={disabled}
+          >
+            <option value="never">Never ends</option>
+            <option value="until">Ends on</option>
+            <option value="count">Ends after</option>
+          </select>
+
+          {value.ends === 'until' && (
+            <input
+              type="date"
+              value={value.until}
+              onChange={(e) => update({ until: e.target.value })}
+              disabled={disabled}
+              required
+            />
+          )}
+
+          {value.ends === 'count' && (
+            <label>
+              <input
+                type="number"
+                min="1"
+                max="1000"
+                value={value.count}
+                onChange={(e) => update({ count: e.target.value })}
+                disabled={disabled}
+              />
+              occurrences
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceFields;
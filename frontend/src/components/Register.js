@@ -1,13 +1,15 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
 const Register = () => {
+  const [searchParams] = useSearchParams();
   const [formData, setFormData] = useState({
     name: '',
     email: '',
     password: '',
-    confirmPassword: ''
+    confirmPassword: '',
+    inviteCode: searchParams.get('invite') || ''
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
@@ -38,9 +40,16 @@ const Register = () => {
 
     setLoading(true);
 
-    const result = await register(formData.name, formData.email, formData.password);
+    const result = await register(
+      formData.name,
+      formData.email,
+      formData.password,
+      formData.inviteCode.trim()
+    );
     
-    if (result.success) {
+    if (result.pendingVerification) {
+      navigate('/login', { state: { message: result.message } });
+    } else if (result.success) {
       navigate('/dashboard');
     } else {
       setError(result.message);
@@ -113,6 +122,18 @@ const Register = () => {
           />
         </div>
         
+        <div className="form-group">
+          <label htmlFor="inviteCode">Invitation Code (Optional)</label>
+          <input
+            type="text"
+            id="inviteCode"
+            name="inviteCode"
+            value={formData.inviteCode}
+            onChange={handleChange}
+            disabled={loading}
+          />
+        </div>
+        
         <button 
           type="submit" 
           className="btn btn-primary"
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../services/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: ''
+  });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters long');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await api.post('/auth/reset-password', { token, password: formData.password });
+      navigate('/login', { state: { message: 'Password reset successfully. Please log in.' } });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to reset password');
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="form-container">
+        <h2>Reset Password</h2>
+        <div className="alert alert-error">
+          This reset link is invalid.
+        </div>
+        <div className="form-link">
+          <p><Link to="/forgot-password">Request a new link</Link></p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-container">
+      <h2>Reset Password</h2>
+      
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="password">New Password</label>
+          <input
+            type="password"
+            id="password"
+            name="password"
+            value={formData.password}
+            onChange={handleChange}
+            required
+            disabled={loading}
+            minLength="6"
+          />
+        </div>
+        
+        <div className="form-group">
+          <label htmlFor="confirmPassword">Confirm New Password</label>
+          <input
+            type="password"
+            id="confirmPassword"
+            name="confirmPassword"
+            value={formData.confirmPassword}
+            onChange={handleChange}
+            required
+            disabled={loading}
+          />
+        </div>
+        
+        <button 
+          type="submit" 
+          className="btn btn-primary"
+          disabled={loading}
+        >
+          {loading ? 'Resetting...' : 'Reset Password'}
+        </button>
+      </form>
+      
+      <div className="form-link">
+        <p><Link to="/forgot-password">Request a new link</Link></p>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
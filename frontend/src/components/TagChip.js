@@ -0,0 +1,31 @@
+import React from 'react';
+
+// Dark text on light tag colors, white text on dark ones
+const textColor = (hex) => {
+  const value = parseInt(hex.slice(1), 16);
+  const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+  return luminance > 0.6 ? '#333' : '#fff';
+};
+
+const TagChip = ({ tag, selected = true, onClick }) => {
+  const color = tag.color || '#6c757d';
+  const style = selected
+    ? { background: color, borderColor: color, color: textColor(color) }
+    : { borderColor: color, color: '#333' };
+
+  if (onClick) {
+    return (
+      <button type="button" className="tag-chip" style={style} onClick={onClick} aria-pressed={selected}>
+        {tag.name}
+      </button>
+    );
+  }
+
+  return (
+    <span className="tag-chip" style={style}>
+      {tag.name}
+    </span>
+  );
+};
+
+export default TagChip;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import TagChip from './TagChip';
+
+const DEFAULT_COLOR = '#0d6efd';
+
+// Toggle existing tags on a task and create new ones inline
+const TagPicker = ({ value, onChange, disabled }) => {
+  const [tags, setTags] = useState([]);
+  const [newTag, setNewTag] = useState({ name: '', color: DEFAULT_COLOR });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await api.get('/tags');
+        setTags(response.data.data.tags);
+      } catch (error) {
+        console.error('Failed to fetch tags:', error);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
+  const toggleTag = (tagId) => {
+    onChange(value.includes(tagId) ? value.filter(id => id !== tagId) : [...value, tagId]);
+  };
+
+  const handleCreate = async () => {
+    if (!newTag.name.trim()) return;
+    setError('');
+
+    try {
+      const response = await api.post('/tags', { name: newTag.name.trim(), color: newTag.color });
+      const tag = response.data.data.tag;
+      setTags([...tags, tag]);
+      onChange([...value, tag._id]);
+      setNewTag({ name: '', color: DEFAULT_COLOR });
+    } catch (error) {
+      setError(error.response?.data?.message || 'Failed to create tag');
+    }
+  };
+
+  return (
+    <div className="tag-picker">
+      {tags.length > 0 && (
+        <div className="tag-list">
+          {tags.map(tag => (
+            <TagChip
+              key={tag._id}
+              tag={tag}
+              selected={value.includes(tag._id)}
+              onClick={disabled ? undefined : () => toggleTag(tag._id)}
+            />
+          ))}
+        </div>
+      )}
+
+      <div className="tag-create">
+        <input
+          type="text"
+          placeholder="New tag"
+          value={newTag.name}
+          onChange={(e) => setNewTag({ ...newTag, name: e.target.value })}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleCreate();
+            }
+          }}
+          disabled={disabled}
+          maxLength="30"
+        />
+        <input
+          type="color"
+          value={newTag.color}
+          onChange={(e) => setNewTag({ ...newTag, color: e.target.value })}
+          disabled={disabled}
+          aria-label="Tag color"
+        />
+        <button type="button" className="btn btn-secondary" onClick={handleCreate} disabled={disabled}>
+          Add Tag
+        </button>
+      </div>
+
+      {error && <p className="tag-error">{error}</p>}
+    </div>
+  );
+};
+
+export default TagPicker;
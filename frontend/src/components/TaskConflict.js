@@ -0,0 +1,91 @@
+import React from 'react';
+
+const FIELDS = [
+  { name: 'title', label: 'Title' },
+  { name: 'description', label: 'Description' },
+  { name: 'status', label: 'Status' },
+  { name: 'priority', label: 'Priority' },
+  { name: 'dueDate', label: 'Due date' },
+  { name: 'tags', label: 'Tags' },
+  { name: 'project', label: 'Project' },
+  { name: 'assignee', label: 'Assignee' },
+  { name: 'watchers', label: 'Watchers' }
+];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// A field value in the shape the form sends: IDs for users, tags and projects, ISO dates
+const normalize = (name, value) => {
+  if (name === 'tags' || name === 'watchers') return (value || []).map(idOf).sort();
+  if (name === 'assignee' || name === 'project') return idOf(value) || null;
+  if (name === 'dueDate') return value ? new Date(value).toISOString() : null;
+  return value;
+};
+
+// Side-by-side view of the changes the user tried to save and the task as someone else saved it
+const TaskConflict = ({ mine, theirs, original, onKeepMine, onUseTheirs }) => {
+  // Names for the user, tag and project IDs in the form data, from the tasks we have
+  const names = {};
+  for (const task of [original, theirs]) {
+    for (const item of [...(task.tags || []), ...(task.watchers || []), task.assignee, task.createdBy, task.project]) {
+      if (item?._id) names[item._id] = item.name;
+    }
+  }
+
+  const format = (name, value) => {
+    const normalized = normalize(name, value);
+    if (normalized === null || normalized === undefined || normalized.length === 0) return 'none';
+    if (name === 'dueDate') return new Date(normalized).toLocaleDateString();
+    if (Array.isArray(normalized)) return normalized.map(id => names[id] || 'unknown').join(', ');
+    if (name === 'assignee') return names[normalized] || 'unknown user';
+    if (name === 'project') return names[normalized] || 'unknown project';
+    return normalized;
+  };
+
+  const conflicts = FIELDS.filter(({ name }) => (
+    mine[name] !== undefined
+    && JSON.stringify(normalize(name, mine[name])) !== JSON.stringify(normalize(name, theirs[name]))
+  ));
+
+  return (
+    <div className="task-conflict">
+      <h2>This task was changed while you were editing it</h2>
+      <p>
+        Someone else saved a newer version.
+        {conflicts.length > 0 ? ' These fields differ:' : ' Your changes match it.'}
+      </p>
+
+      {conflicts.length > 0 && (
+        <table className="task-conflict-table">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Your version</th>
+              <th>Current version</th>
+            </tr>
+          </thead>
+          <tbody>
+            {conflicts.map(({ name, label }) => (
+              <tr key={name}>
+                <th>{label}</th>
+                <td>{format(name, mine[name])}</td>
+                <td>{format(name, theirs[name])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="task-conflict-actions">
+        <button type="button" className="btn btn-primary" onClick={onKeepMine}>
+          Save My Version
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={onUseTheirs}>
+          Keep Current Version
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default TaskConflict;
@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import TagChip from './TagChip';
+import TaskForm from './TaskForm';
+import { describeRecurrence } from './RecurrenceFields';
+import Checklist from './Checklist';
+import Attachments from './Attachments';
+import Comments from './Comments';
+import ActivityTimeline from './ActivityTimeline';
+import TaskConflict from './TaskConflict';
+
+const TaskDetail = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [task, setTask] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [conflict, setConflict] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTask = async () => {
+      try {
+        const response = await api.get(`/tasks/${id}`);
+        setTask(response.data.data.task);
+      } catch (error) {
+        console.error('Failed to fetch task:', error);
+        setError(error.response?.data?.message || 'Failed to fetch task');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTask();
+  }, [id]);
+
+  // Saves only apply to the version being edited; if someone else saved the task
+  // in the meantime, show both versions and let the user pick
+  const handleUpdate = async (taskData, scope, baseTask = task) => {
+    try {
+      const response = await api.put(`/tasks/${id}`, taskData, {
+        params: { scope },
+        headers: { 'If-Match': `"${baseTask.version}"` }
+      });
+      setTask(response.data.data.task);
+      setConflict(null);
+      setEditing(false);
+    } catch (error) {
+      if (error.response?.status !== 412) throw error;
+      setConflict({ taskData, scope, current: error.response.data.data.task });
+      setEditing(false);
+    }
+  };
+
+  const handleKeepMine = async () => {
+    try {
+      await handleUpdate(conflict.taskData, conflict.scope, conflict.current);
+    } catch (error) {
+      console.error('Failed to save task:', error);
+      setError(error.response?.data?.message || 'Failed to save task');
+      setConflict(null);
+    }
+  };
+
+  const handleUseTheirs = () => {
+    setTask(conflict.current);
+    setConflict(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading task...</p>
+      </div>
+    );
+  }
+
+  if (!task) {
+    return (
+      <div className="task-detail">
+        <div className="alert alert-error">
+          {error}
+        </div>
+        <Link to="/tasks">Back to tasks</Link>
+      </div>
+    );
+  }
+
+  // Owners manage the task; assignees can also edit it, watchers only follow it
+  const canManage = user?.role === 'admin' || task.createdBy?._id === user?._id;
+  const canEdit = canManage || task.assignee?._id === user?._id;
+
+  if (conflict) {
+    return (
+      <div className="form-container" style={{ maxWidth: '700px' }}>
+        <TaskConflict
+          mine={conflict.taskData}
+          theirs={conflict.current}
+          original={task}
+          onKeepMine={handleKeepMine}
+          onUseTheirs={handleUseTheirs}
+        />
+      </div>
+    );
+  }
+
+  if (editing) {
+    return (
+      <div className="form-container" style={{ maxWidth: '600px' }}>
+        <h2>Edit Task</h2>
+
+        <TaskForm
+          task={task}
+          isEdit
+          canManage={canManage}
+          submitLabel="Save Changes"
+          onSubmit={handleUpdate}
+          onCancel={() => setEditing(false)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-detail">
+      <Link to="/tasks">← Back to tasks</Link>
+
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      <div className="task-card">
+        <div className="task-detail-header">
+          <h1>{task.title}</h1>
+          {canEdit && (
+            <button onClick={() => setEditing(true)} className="btn btn-secondary">
+              Edit
+            </button>
+          )}
+        </div>
+        <p>{task.description}</p>
+
+        {task.tags?.length > 0 && (
+          <div className="tag-list">
+            {task.tags.map(tag => (
+              <TagChip key={tag._id} tag={tag} />
+            ))}
+          </div>
+        )}
+
+        <div className="task-meta">
+          <span className={`task-status ${task.status}`}>
+            {task.status}
+          </span>
+          <span className={`task-priority ${task.priority}`}>
+            {task.priority}
+          </span>
+        </div>
+
+        {task.dueDate && (
+          <p><strong>Due:</strong> {new Date(task.dueDate).toLocaleDateString()}</p>
+        )}
+
+        {task.series && (
+          <p>
+            <strong>Repeats:</strong> {describeRecurrence(task.series.rule)} (occurrence {task.occurrence})
+            {task.series.nextDueDate
+              ? ` · next due ${new Date(task.series.nextDueDate).toLocaleDateString()}`
+              : ' · series ended'}
+          </p>
+        )}
+
+        {task.project && (
+          <p>
+            <strong>Project:</strong>{' '}
+            <span className="project-dot" style={{ backgroundColor: task.project.color }} />
+            {task.createdBy?._id === user?._id
+              ? <Link to={`/tasks?project=${task.project._id}`}>{task.project.name}</Link>
+              : task.project.name}
+            {task.project.archived && ' (archived)'}
+          </p>
+        )}
+
+        <p><strong>Assignee:</strong> {task.assignee ? task.assignee.name : 'Unassigned'}</p>
+
+        {task.watchers?.length > 0 && (
+          <p><strong>Watchers:</strong> {task.watchers.map(watcher => watcher.name).join(', ')}</p>
+        )}
+
+        <p><strong>Created:</strong> {new Date(task.createdAt).toLocaleDateString()} by {task.createdBy?.name}</p>
+      </div>
+
+      <div className="task-card">
+        <Checklist task={task} onChange={setTask} readOnly={!canEdit} />
+      </div>
+
+      <div className="task-card">
+        <Attachments task={task} canUpload={canEdit} />
+      </div>
+
+      <div className="task-card">
+        <Comments taskId={task._id} />
+      </div>
+
+      <div className="task-card">
+        <ActivityTimeline taskId={task._id} refreshKey={task.updatedAt} />
+      </div>
+    </div>
+  );
+};
+
+export default TaskDetail;
@@ -0,0 +1,284 @@
+import React, { useState } from 'react';
+import TagPicker from './TagPicker';
+import UserPicker from './UserPicker';
+import ProjectPicker from './ProjectPicker';
+import RecurrenceFields, { toRecurrenceForm, toRecurrenceRule } from './RecurrenceFields';
+
+const EMPTY_TASK = {
+  title: '',
+  description: '',
+  status: 'pending',
+  priority: 'medium',
+  dueDate: '',
+  tags: [],
+  project: null,
+  assignee: null,
+  watchers: []
+};
+
+// Form fields from a task as returned by the API
+const toFormData = (task) => ({
+  ...EMPTY_TASK,
+  ...task,
+  dueDate: task.dueDate ? task.dueDate.split('T')[0] : '',
+  tags: (task.tags || []).map(tag => tag._id || tag),
+  project: task.project?._id || task.project || null,
+  assignee: task.assignee || null,
+  watchers: task.watchers || [],
+  // A series that has ended no longer repeats
+  recurrence: toRecurrenceForm(task.series?.nextDueDate ? task.series.rule : null)
+});
+
+// Create and edit form for tasks. Only owners (canManage) can set tags, project, assignee,
+// watchers and recurrence. onSubmit gets the task data and, for recurring tasks, the scope of the change.
+const TaskForm = ({ task, isEdit = false, canManage = true, submitLabel, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState(() => toFormData(task || EMPTY_TASK));
+  const [scope, setScope] = useState('occurrence');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const isSeries = Boolean(task?.series);
+  const showRecurrence = canManage && (!isSeries || scope === 'series');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const taskData = {
+      title: formData.title,
+      description: formData.description,
+      priority: formData.priority
+    };
+
+    if (isEdit) {
+      taskData.status = formData.status;
+    }
+
+    if (formData.dueDate) {
+      taskData.dueDate = new Date(formData.dueDate).toISOString();
+    } else if (isEdit) {
+      taskData.dueDate = null;
+    }
+
+    if (canManage) {
+      taskData.tags = formData.tags;
+      taskData.project = formData.project;
+      taskData.assignee = formData.assignee?._id || null;
+      taskData.watchers = formData.watchers.map(user => user._id);
+    }
+
+    if (showRecurrence) {
+      const recurrence = toRecurrenceRule(formData.recurrence);
+      // Sending null for a series stops it
+      if (recurrence || isSeries) {
+        taskData.recurrence = recurrence;
+      }
+    }
+
+    try {
+      await onSubmit(taskData, isSeries ? scope : undefined);
+    } catch (error) {
+      console.error('Failed to save task:', error);
+      setError(error.response?.data?.message || 'Failed to save task');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+
+      {isEdit && isSeries && canManage && (
+        <div className="form-group series-scope">
+          <label>
+            <input
+              type="radio"
+              name="scope"
+              value="occurrence"
+              checked={scope === 'occurrence'}
+              onChange={() => setScope('occurrence')}
+              disabled={loading}
+            />
+            Only this occurrence
+          </label>
+          <label>
+            <input
+              type="radio"
+              name="scope"
+              value="series"
+              checked={scope === 'series'}
+              onChange={() => setScope('series')}
+              disabled={loading}
+            />
+            The whole series
+          </label>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="title">Task Title</label>
+        <input
+          type="text"
+          id="title"
+          name="title"
+          value={formData.title}
+          onChange={handleChange}
+          required
+          disabled={loading}
+          maxLength="100"
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="description">Description</label>
+        <textarea
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          required
+          disabled={loading}
+          maxLength="500"
+          rows="4"
+        />
+      </div>
+
+      {isEdit && (
+        <div className="form-group">
+          <label htmlFor="status">Status</label>
+          <select
+            id="status"
+            name="status"
+            value={formData.status}
+            onChange={handleChange}
+            disabled={loading}
+          >
+            <option value="pending">Pending</option>
+            <option value="in-progress">In Progress</option>
+            <option value="completed">Completed</option>
+          </select>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="priority">Priority</label>
+        <select
+          id="priority"
+          name="priority"
+          value={formData.priority}
+          onChange={handleChange}
+          disabled={loading}
+        >
+          <option value="low">Low</option>
+          <option value="medium">Medium</option>
+          <option value="high">High</option>
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="dueDate">Due Date (Optional)</label>
+        <input
+          type="date"
+          id="dueDate"
+          name="dueDate"
+          value={formData.dueDate}
+          onChange={handleChange}
+          disabled={loading}
+          min={isEdit ? undefined : new Date().toISOString().split('T')[0]}
+          required={showRecurrence && Boolean(formData.recurrence.frequency)}
+        />
+      </div>
+
+      {showRecurrence && (
+        <div className="form-group">
+          <label htmlFor="frequency">Repeat</label>
+          <RecurrenceFields
+            value={formData.recurrence}
+            onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+            disabled={loading}
+          />
+        </div>
+      )}
+
+      {canManage && (
+        <>
+          <div className="form-group">
+            <label>Tags (Optional)</label>
+            <TagPicker
+              value={formData.tags}
+              onChange={(tags) => setFormData({ ...formData, tags })}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="project">Project (Optional)</label>
+            <ProjectPicker
+              id="project"
+              value={formData.project}
+              current={task?.project}
+              onChange={(project) => setFormData({ ...formData, project })}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="assignee">Assignee (Optional)</label>
+            <UserPicker
+              id="assignee"
+              value={formData.assignee}
+              onChange={(assignee) => setFormData({ ...formData, assignee })}
+              disabled={loading}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="watchers">Watchers (Optional)</label>
+            <UserPicker
+              id="watchers"
+              multiple
+              value={formData.watchers}
+              onChange={(watchers) => setFormData({ ...formData, watchers })}
+              disabled={loading}
+            />
+          </div>
+        </>
+      )}
+
+      <div style={{ display: 'flex', gap: '15px' }}>
+        <button
+          type="submit"
+          className="btn btn-primary"
+          disabled={loading}
+          style={{ flex: 1 }}
+        >
+          {loading ? 'Saving...' : submitLabel}
+        </button>
+
+        <button
+          type="button"
+          onClick={onCancel}
+          className="btn btn-secondary"
+          disabled={loading}
+          style={{ flex: 1 }}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TaskForm;
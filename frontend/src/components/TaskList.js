@@ -1,29 +1,143 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import TagChip from './TagChip';
+import { describeRecurrence } from './RecurrenceFields';
+import BulkActionBar from './BulkActionBar';
+
+// Delay before a typed search is sent, so typing does not fire a request per keystroke
+const SEARCH_DELAY_MS = 300;
+
+const PAGE_SIZE = 10;
+// Most tasks the API returns per request
+const MAX_PAGE_SIZE = 100;
+
+// Render search highlight segments, marking the parts that matched
+const Highlighted = ({ segments, fallback }) => {
+  if (!segments) return fallback;
+
+  return segments.map((segment, index) => (
+    segment.type === 'hit'
+      ? <mark key={index}>{segment.value}</mark>
+      : <React.Fragment key={index}>{segment.value}</React.Fragment>
+  ));
+};
 
 const TaskList = () => {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  // Set by the project switcher in the navbar
+  const projectId = searchParams.get('project');
+  const [project, setProject] = useState(null);
+  const [projectStats, setProjectStats] = useState(null);
   const [tasks, setTasks] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     status: '',
-    priority: ''
+    priority: '',
+    q: '',
+    involvement: '',
+    tags: [],
+    tagMode: 'any',
+    overdue: false,
+    sort: ''
   });
+  const [tags, setTags] = useState([]);
+  const [search, setSearch] = useState('');
   const [editingTask, setEditingTask] = useState(null);
   const [message, setMessage] = useState('');
+  const [trashedTaskIds, setTrashedTaskIds] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [bulkFailures, setBulkFailures] = useState([]);
 
   useEffect(() => {
     fetchTasks();
-  }, [filters]);
+  }, [filters, projectId]);
+
+  useEffect(() => {
+    setProject(null);
+    setProjectStats(null);
+    if (!projectId) return;
+
+    const fetchProject = async () => {
+      try {
+        const response = await api.get(`/projects/${projectId}`);
+        setProject(response.data.data.project);
+      } catch (error) {
+        console.error('Failed to fetch project:', error);
+        setMessage('Failed to fetch project');
+      }
+    };
+
+    fetchProject();
+    fetchProjectStats();
+  }, [projectId]);
+
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await api.get('/tags');
+        setTags(response.data.data.tags);
+      } catch (error) {
+        console.error('Failed to fetch tags:', error);
+      }
+    };
+
+    fetchTags();
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(current => (
+        current.q === search.trim() ? current : { ...current, q: search.trim() }
+      ));
+    }, SEARCH_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchProjectStats = async () => {
+    if (!projectId) return;
 
-  const fetchTasks = async () => {
     try {
-      const params = new URLSearchParams();
+      const response = await api.get(`/projects/${projectId}/stats`);
+      setProjectStats(response.data.data.stats);
+    } catch (error) {
+      console.error('Failed to fetch project stats:', error);
+    }
+  };
+
+  // Load the first page, or the page after a cursor to append to the list
+  const fetchTasks = async ({ after, limit = PAGE_SIZE } = {}) => {
+    try {
+      const params = new URLSearchParams({ limit, includeTotal: false });
+      if (after) params.append('after', after);
       if (filters.status) params.append('status', filters.status);
       if (filters.priority) params.append('priority', filters.priority);
+      if (filters.q) params.append('q', filters.q);
+      if (filters.involvement) params.append(filters.involvement, 'me');
+      if (filters.overdue) params.append('overdue', 'true');
+      if (filters.sort) params.append('sort', filters.sort);
+      if (filters.tags.length > 0) {
+        params.append('tags', filters.tags.join(','));
+        params.append('tagMode', filters.tagMode);
+      }
       
-      const response = await api.get(`/tasks?${params.toString()}`);
-      setTasks(response.data.data.tasks);
+      const path = projectId ? `/projects/${projectId}/tasks` : '/tasks';
+      const response = await api.get(`${path}?${params.toString()}`);
+      const newTasks = response.data.data.tasks;
+      setNextCursor(response.data.data.pagination.nextCursor);
+
+      if (after) {
+        setTasks(current => [...current, ...newTasks]);
+        return;
+      }
+
+      setTasks(newTasks);
+      // Keep only the selected tasks that are still listed
+      setSelectedIds(current => current.filter(id => newTasks.some(task => task._id === id)));
     } catch (error) {
       console.error('Failed to fetch tasks:', error);
       setMessage('Failed to fetch tasks');
@@ -32,35 +146,110 @@ const TaskList = () => {
     }
   };
 
+  // Reload after a change, keeping as many tasks listed as were loaded
+  const refreshTasks = () => {
+    fetchTasks({ limit: Math.min(Math.max(tasks.length, PAGE_SIZE), MAX_PAGE_SIZE) });
+    fetchProjectStats();
+  };
+
   const handleFilterChange = (e) => {
     setFilters({
       ...filters,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
     });
   };
 
-  const handleStatusUpdate = async (taskId, newStatus) => {
+  const toggleTagFilter = (tagId) => {
+    setFilters({
+      ...filters,
+      tags: filters.tags.includes(tagId)
+        ? filters.tags.filter(id => id !== tagId)
+        : [...filters.tags, tagId]
+    });
+  };
+
+  // Quick actions only apply to the version shown; a task changed meanwhile is reloaded instead
+  const ifMatch = (task) => ({ headers: { 'If-Match': `"${task.version}"` } });
+
+  const handleConflict = (error) => {
+    if (error.response?.status !== 412) return false;
+    setMessage('This task was changed by someone else; the list has been refreshed');
+    setBulkFailures([]);
+    refreshTasks();
+    return true;
+  };
+
+  const handleStatusUpdate = async (task, newStatus) => {
     try {
-      await api.put(`/tasks/${taskId}`, { status: newStatus });
+      await api.put(`/tasks/${task._id}`, { status: newStatus }, ifMatch(task));
       setMessage('Task updated successfully');
-      fetchTasks();
+      setBulkFailures([]);
+      refreshTasks();
     } catch (error) {
+      if (handleConflict(error)) return;
       console.error('Failed to update task:', error);
       setMessage('Failed to update task');
     }
   };
 
-  const handleDelete = async (taskId) => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
-      try {
-        await api.delete(`/tasks/${taskId}`);
-        setMessage('Task deleted successfully');
-        fetchTasks();
-      } catch (error) {
-        console.error('Failed to delete task:', error);
-        setMessage('Failed to delete task');
-      }
+  // Deleted tasks go to the trash, so no confirmation; the message offers an undo instead
+  const handleDelete = async (task) => {
+    try {
+      await api.delete(`/tasks/${task._id}`, ifMatch(task));
+      setMessage('Task moved to the trash successfully');
+      setBulkFailures([]);
+      setTrashedTaskIds([task._id]);
+      refreshTasks();
+    } catch (error) {
+      if (handleConflict(error)) return;
+      console.error('Failed to delete task:', error);
+      setMessage('Failed to delete task');
+    }
+  };
+
+  const handleUndoDelete = async () => {
+    try {
+      await Promise.all(trashedTaskIds.map(taskId => api.post(`/tasks/${taskId}/restore`)));
+      setMessage(trashedTaskIds.length === 1 ? 'Task restored successfully' : 'Tasks restored successfully');
+      setTrashedTaskIds([]);
+      setBulkFailures([]);
+      refreshTasks();
+    } catch (error) {
+      console.error('Failed to restore task:', error);
+      setMessage('Failed to restore task');
+    }
+  };
+
+  const toggleSelected = (taskId) => {
+    setSelectedIds(current => (
+      current.includes(taskId) ? current.filter(id => id !== taskId) : [...current, taskId]
+    ));
+  };
+
+  const toggleSelectAll = () => {
+    setSelectedIds(selectedIds.length === tasks.length ? [] : tasks.map(task => task._id));
+  };
+
+  // Report the outcome of a bulk action; tasks that failed stay selected for another try
+  const handleBulkComplete = (action, result, errorMessage) => {
+    if (!result) {
+      setMessage(errorMessage);
+      setBulkFailures([]);
+      return;
     }
+
+    const { results } = result.data;
+    const failures = results.filter(item => item.status === 'error');
+    const succeededIds = results.filter(item => item.status === 'success').map(item => item.id);
+
+    setMessage(result.message);
+    setBulkFailures(failures.map(failure => ({
+      ...failure,
+      title: tasks.find(task => task._id === failure.id)?.title || failure.id
+    })));
+    setTrashedTaskIds(action === 'delete' ? succeededIds : []);
+    setSelectedIds(failures.map(failure => failure.id));
+    refreshTasks();
   };
 
   if (loading) {
@@ -75,19 +264,66 @@ const TaskList = () => {
   return (
     <div className="task-list">
       <div className="task-list-header">
-        <h1>My Tasks</h1>
-        <Link to="/tasks/create" className="btn btn-primary">
-          Create New Task
-        </Link>
+        {project ? (
+          <h1>
+            <span className="project-dot" style={{ backgroundColor: project.color }} />
+            {project.name}
+            {project.archived && <span className="project-archived">Archived</span>}
+          </h1>
+        ) : (
+          <h1>My Tasks</h1>
+        )}
+        {!project?.archived && (
+          <Link to={projectId ? `/tasks/create?project=${projectId}` : '/tasks/create'} className="btn btn-primary">
+            Create New Task
+          </Link>
+        )}
       </div>
       
+      {project && (
+        <p className="project-summary">
+          {project.description && <>{project.description}<br /></>}
+          {projectStats && (
+            <>
+              {projectStats.total} {projectStats.total === 1 ? 'task' : 'tasks'}
+              {projectStats.completionRate !== null && ` · ${projectStats.completionRate}% completed`}
+              {projectStats.overdue > 0 && ` · ${projectStats.overdue} overdue`}
+            </>
+          )}
+        </p>
+      )}
+      
       {message && (
         <div className={`alert ${message.includes('successfully') ? 'alert-success' : 'alert-error'}`}>
           {message}
+          {trashedTaskIds.length > 0 && message.includes('trash') && (
+            <>
+              {' '}
+              <button type="button" className="btn-link" onClick={handleUndoDelete}>Undo</button>
+              {' · '}
+              <Link to="/tasks/trash">View trash</Link>
+            </>
+          )}
+          {bulkFailures.length > 0 && (
+            <ul className="bulk-failures">
+              {bulkFailures.map(failure => (
+                <li key={failure.id}>{failure.title}: {failure.message}</li>
+              ))}
+            </ul>
+          )}
         </div>
       )}
       
       <div className="task-filters">
+        <input
+          type="search"
+          className="task-search"
+          placeholder='Search tasks ("exact phrase", prefix*)'
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          maxLength="200"
+        />
+        
         <select
           name="status"
           value={filters.status}
@@ -109,18 +345,135 @@ const TaskList = () => {
           <option value="medium">Medium</option>
           <option value="high">High</option>
         </select>
+        
+        <select
+          name="involvement"
+          value={filters.involvement}
+          onChange={handleFilterChange}
+        >
+          <option value="">All My Tasks</option>
+          <option value="createdBy">Created by Me</option>
+          <option value="assignedTo">Assigned to Me</option>
+        </select>
+        
+        <select
+          name="sort"
+          value={filters.sort}
+          onChange={handleFilterChange}
+        >
+          <option value="">{filters.q ? 'Best Match' : 'Newest First'}</option>
+          <option value="-priority,dueDate">Highest Priority</option>
+          <option value="-updatedAt">Recently Updated</option>
+          <option value="title">Title A-Z</option>
+        </select>
+        
+        <label className="task-filter-toggle">
+          <input
+            type="checkbox"
+            name="overdue"
+            checked={filters.overdue}
+            onChange={handleFilterChange}
+          />
+          Overdue only
+        </label>
+        
+        {tags.length > 0 && (
+          <div className="tag-filter">
+            {tags.map(tag => (
+              <TagChip
+                key={tag._id}
+                tag={{ ...tag, name: `${tag.name} (${tag.taskCount})` }}
+                selected={filters.tags.includes(tag._id)}
+                onClick={() => toggleTagFilter(tag._id)}
+              />
+            ))}
+            
+            {filters.tags.length > 1 && (
+              <select
+                name="tagMode"
+                value={filters.tagMode}
+                onChange={handleFilterChange}
+              >
+                <option value="any">Any selected tag</option>
+                <option value="all">All selected tags</option>
+              </select>
+            )}
+          </div>
+        )}
       </div>
       
+      {tasks.length > 0 && (
+        <div className="bulk-select">
+          <label>
+            <input
+              type="checkbox"
+              checked={selectedIds.length === tasks.length}
+              onChange={toggleSelectAll}
+            />
+            Select all
+          </label>
+        </div>
+      )}
+      
+      {selectedIds.length > 0 && (
+        <BulkActionBar
+          selectedIds={selectedIds}
+          tags={tags}
+          onComplete={handleBulkComplete}
+          onClear={() => setSelectedIds([])}
+        />
+      )}
+      
       {tasks.length === 0 ? (
         <div style={{ textAlign: 'center', padding: '50px' }}>
-          <p>No tasks found. <Link to="/tasks/create">Create your first task</Link></p>
+          {filters.q ? (
+            <p>No tasks match "{filters.q}".</p>
+          ) : (
+            <p>No tasks found. <Link to="/tasks/create">Create your first task</Link></p>
+          )}
         </div>
       ) : (
         <div className="task-grid">
           {tasks.map(task => (
-            <div key={task._id} className="task-card">
-              <h3>{task.title}</h3>
-              <p>{task.description}</p>
+            <div key={task._id} className={`task-card ${selectedIds.includes(task._id) ? 'selected' : ''}`}>
+              <h3>
+                <input
+                  type="checkbox"
+                  className="task-select"
+                  checked={selectedIds.includes(task._id)}
+                  onChange={() => toggleSelected(task._id)}
+                  aria-label={`Select ${task.title}`}
+                />
+                <Link to={`/tasks/${task._id}`} className="task-title-link">
+                  <Highlighted segments={task.highlights?.title} fallback={task.title} />
+                </Link>
+              </h3>
+              <p><Highlighted segments={task.highlights?.description} fallback={task.description} /></p>
+              
+              {task.project && !projectId && (
+                <p className="task-project">
+                  <span className="project-dot" style={{ backgroundColor: task.project.color }} />
+                  {/* Projects belong to the task owner, so only they can open it */}
+                  {task.createdBy?._id === user?._id
+                    ? <Link to={`/tasks?project=${task.project._id}`}>{task.project.name}</Link>
+                    : task.project.name}
+                </p>
+              )}
+              
+              {task.tags?.length > 0 && (
+                <div className="tag-list">
+                  {task.tags.map(tag => (
+                    <TagChip key={tag._id} tag={tag} />
+                  ))}
+                </div>
+              )}
+              
+              {task.progress !== null && task.progress !== undefined && (
+                <div className="progress-bar" title={`${task.progress}% of the checklist done`}>
+                  <div className="progress-bar-fill" style={{ width: `${task.progress}%` }} />
+                  <span className="progress-bar-label">{task.progress}%</span>
+                </div>
+              )}
               
               <div className="task-meta">
                 <span className={`task-status ${task.status}`}>
@@ -135,6 +488,14 @@ const TaskList = () => {
                 <p><strong>Due:</strong> {new Date(task.dueDate).toLocaleDateString()}</p>
               )}
               
+              {task.series?.nextDueDate && (
+                <p className="task-recurrence">↻ {describeRecurrence(task.series.rule)}</p>
+              )}
+              
+              {task.assignee && (
+                <p><strong>Assignee:</strong> {task.assignee.name}</p>
+              )}
+              
               <p><strong>Created:</strong> {new Date(task.createdAt).toLocaleDateString()}</p>
               
               <div className="task-actions">
@@ -142,7 +503,7 @@ const TaskList = () => {
                   <>
                     {task.status === 'pending' && (
                       <button
-                        onClick={() => handleStatusUpdate(task._id, 'in-progress')}
+                        onClick={() => handleStatusUpdate(task, 'in-progress')}
                         className="btn btn-primary"
                       >
                         Start
@@ -150,7 +511,7 @@ const TaskList = () => {
                     )}
                     {task.status === 'in-progress' && (
                       <button
-                        onClick={() => handleStatusUpdate(task._id, 'completed')}
+                        onClick={() => handleStatusUpdate(task, 'completed')}
                         className="btn btn-success"
                       >
                         Complete
@@ -159,17 +520,27 @@ const TaskList = () => {
                   </>
                 )}
                 
-                <button
-                  onClick={() => handleDelete(task._id)}
-                  className="btn btn-danger"
-                >
-                  Delete
-                </button>
+                {(user?.role === 'admin' || task.createdBy?._id === user?._id) && (
+                  <button
+                    onClick={() => handleDelete(task)}
+                    className="btn btn-danger"
+                  >
+                    Delete
+                  </button>
+                )}
               </div>
             </div>
           ))}
         </div>
       )}
+      
+      {nextCursor && (
+        <div className="load-more">
+          <button type="button" className="btn btn-secondary" onClick={() => fetchTasks({ after: nextCursor })}>
+            Load More Tasks
+          </button>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,127 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const Trash = () => {
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await api.get('/tasks/trash', { params: { limit: 100 } });
+      setTasks(response.data.data.tasks);
+      setRetentionDays(response.data.data.retentionDays);
+    } catch (error) {
+      console.error('Failed to fetch trash:', error);
+      setMessage('Failed to fetch trash');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const request = async (action, successMessage, failureMessage) => {
+    try {
+      await action();
+      setMessage(successMessage);
+      fetchTrash();
+    } catch (error) {
+      console.error(failureMessage, error);
+      setMessage(error.response?.data?.message || failureMessage);
+    }
+  };
+
+  const handleRestore = (task) => request(
+    () => api.post(`/tasks/${task._id}/restore`),
+    'Task restored successfully',
+    'Failed to restore task'
+  );
+
+  const handlePurge = (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+
+    request(
+      () => api.delete(`/tasks/trash/${task._id}`),
+      'Task permanently deleted successfully',
+      'Failed to delete task'
+    );
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm('Permanently delete every task in the trash? This cannot be undone.')) return;
+
+    request(
+      () => api.delete('/tasks/trash'),
+      'Trash emptied successfully',
+      'Failed to empty trash'
+    );
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="loading-spinner"></div>
+        <p>Loading trash...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-list">
+      <div className="task-list-header">
+        <h1>Trash</h1>
+        {tasks.length > 0 && (
+          <button onClick={handleEmpty} className="btn btn-danger">
+            Empty Trash
+          </button>
+        )}
+      </div>
+
+      {retentionDays && (
+        <p className="trash-notice">
+          Deleted tasks are kept for {retentionDays} days, then deleted permanently with their comments and files.
+        </p>
+      )}
+
+      {message && (
+        <div className={`alert ${message.includes('successfully') ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+
+      {tasks.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '50px' }}>
+          <p>The trash is empty. <Link to="/tasks">Back to tasks</Link></p>
+        </div>
+      ) : (
+        <div className="task-grid">
+          {tasks.map(task => (
+            <div key={task._id} className="task-card">
+              <h3>{task.title}</h3>
+              <p>{task.description}</p>
+
+              <p><strong>Deleted:</strong> {new Date(task.deletedAt).toLocaleDateString()}{task.deletedBy && ` by ${task.deletedBy.name}`}</p>
+              <p><strong>Deleted forever on:</strong> {new Date(task.purgeAt).toLocaleDateString()}</p>
+
+              <div className="task-actions">
+                <button onClick={() => handleRestore(task)} className="btn btn-primary">
+                  Restore
+                </button>
+                <button onClick={() => handlePurge(task)} className="btn btn-danger">
+                  Delete Forever
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Trash;
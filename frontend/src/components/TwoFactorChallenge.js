@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const TwoFactorChallenge = ({ challengeToken, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  
+  const { verifyTwoFactor } = useAuth();
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+    
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.message);
+      setLoading(false);
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
+
+  return (
+    <div className="form-container">
+      <h2>Two-Factor Authentication</h2>
+      
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="code">
+            {useRecoveryCode ? 'Recovery Code' : 'Code from your authenticator app'}
+          </label>
+          <input
+            type="text"
+            id="code"
+            name="code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+            disabled={loading}
+            autoComplete="one-time-code"
+            inputMode={useRecoveryCode ? 'text' : 'numeric'}
+            autoFocus
+          />
+        </div>
+        
+        <button 
+          type="submit" 
+          className="btn btn-primary"
+          disabled={loading}
+        >
+          {loading ? 'Verifying...' : 'Verify'}
+        </button>
+      </form>
+      
+      <div className="form-link">
+        <p>
+          <button type="button" onClick={toggleRecoveryCode} className="btn-link">
+            {useRecoveryCode ? 'Use an authenticator code' : 'Use a recovery code'}
+          </button>
+        </p>
+        <p>
+          <button type="button" onClick={onCancel} className="btn-link">
+            Back to login
+          </button>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorChallenge;
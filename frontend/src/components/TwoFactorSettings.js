@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+const TwoFactorSettings = () => {
+  const { user, twoFactorSetupRequired, refreshUser } = useAuth();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disableCode, setDisableCode] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const resetForm = () => {
+    setCode('');
+    setPassword('');
+    setDisableCode('');
+    setError('');
+    setMessage('');
+  };
+
+  const request = async (action) => {
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      await action();
+    } catch (error) {
+      setError(error.response?.data?.message || 'Request failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () => request(async () => {
+    const response = await api.post('/auth/2fa/setup');
+    setSetup(response.data.data);
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    request(async () => {
+      const response = await api.post('/auth/2fa/enable', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setSetup(null);
+      resetForm();
+      await refreshUser();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    request(async () => {
+      const response = await api.post('/auth/2fa/recovery-codes', { code });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      resetForm();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    request(async () => {
+      await api.post('/auth/2fa/disable', { password, code: disableCode });
+      setRecoveryCodes(null);
+      resetForm();
+      setMessage('Two-factor authentication disabled');
+      await refreshUser();
+    });
+  };
+
+  return (
+    <div className="form-container" style={{ maxWidth: '600px' }}>
+      <h2>Two-Factor Authentication</h2>
+      
+      {twoFactorSetupRequired && (
+        <div className="alert alert-error">
+          Two-factor authentication is required for admin accounts. Please enable it to continue.
+        </div>
+      )}
+      
+      {error && (
+        <div className="alert alert-error">
+          {error}
+        </div>
+      )}
+      
+      {message && (
+        <div className="alert alert-success">
+          {message}
+        </div>
+      )}
+      
+      {recoveryCodes && (
+        <div className="alert alert-success">
+          <p><strong>Save these recovery codes somewhere safe.</strong> Each one can be used once if you lose access to your authenticator app. They will not be shown again.</p>
+          <ul className="recovery-codes">
+            {recoveryCodes.map(recoveryCode => (
+              <li key={recoveryCode}><code>{recoveryCode}</code></li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      {!user?.twoFactorEnabled && !setup && (
+        <>
+          <p>Protect your account with a code from an authenticator app in addition to your password.</p>
+          <button onClick={handleStartSetup} className="btn btn-primary" disabled={loading}>
+            {loading ? 'Starting...' : 'Set Up Two-Factor Authentication'}
+          </button>
+        </>
+      )}
+      
+      {!user?.twoFactorEnabled && setup && (
+        <form onSubmit={handleEnable}>
+          <p>Scan this QR code with your authenticator app, then enter the code it shows.</p>
+          <div className="qr-code">
+            <img src={setup.qrCode} alt="Two-factor authentication QR code" />
+          </div>
+          <p>Can't scan it? Enter this key manually: <code>{setup.secret}</code></p>
+          
+          <div className="form-group">
+            <label htmlFor="code">Authentication Code</label>
+            <input
+              type="text"
+              id="code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              disabled={loading}
+              autoComplete="one-time-code"
+              inputMode="numeric"
+              maxLength="6"
+            />
+          </div>
+          
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Verifying...' : 'Enable'}
+          </button>
+        </form>
+      )}
+      
+      {user?.twoFactorEnabled && (
+        <>
+          <p>Two-factor authentication is <strong>enabled</strong>.</p>
+          
+          <form onSubmit={handleRegenerate}>
+            <h3>Recovery Codes</h3>
+            <div className="form-group">
+              <label htmlFor="regenerateCode">Authentication Code</label>
+              <input
+                type="text"
+                id="regenerateCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                disabled={loading}
+                inputMode="numeric"
+                maxLength="6"
+              />
+            </div>
+            <button type="submit" className="btn btn-secondary" disabled={loading}>
+              Generate New Recovery Codes
+            </button>
+          </form>
+          
+          <form onSubmit={handleDisable} style={{ marginTop: '30px' }}>
+            <h3>Disable</h3>
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                disabled={loading}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="disableCode">Authentication Code</label>
+              <input
+                type="text"
+                id="disableCode"
+                value={disableCode}
+                onChange={(e) => setDisableCode(e.target.value)}
+                required
+                disabled={loading}
+                inputMode="numeric"
+                maxLength="6"
+              />
+            </div>
+            <button type="submit" className="btn btn-danger" disabled={loading}>
+              Disable Two-Factor Authentication
+            </button>
+          </form>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
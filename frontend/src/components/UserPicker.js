@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Delay before a typed name is looked up
+const LOOKUP_DELAY_MS = 300;
+
+// Search users by name or email and pick one (or several with `multiple`)
+const UserPicker = ({ id, value, onChange, multiple = false, disabled, placeholder = 'Search by name or email' }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+
+  useEffect(() => {
+    if (query.trim().length < 2) {
+      setResults([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.get('/users/lookup', { params: { q: query.trim() } });
+        setResults(response.data.data.users);
+      } catch (error) {
+        console.error('Failed to look up users:', error);
+      }
+    }, LOOKUP_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const selected = multiple ? value : [value].filter(Boolean);
+
+  const handleSelect = (user) => {
+    if (multiple) {
+      if (!value.some(existing => existing._id === user._id)) {
+        onChange([...value, user]);
+      }
+    } else {
+      onChange(user);
+    }
+    setQuery('');
+    setResults([]);
+  };
+
+  const handleRemove = (user) => {
+    onChange(multiple ? value.filter(existing => existing._id !== user._id) : null);
+  };
+
+  return (
+    <div className="user-picker">
+      {selected.length > 0 && (
+        <div className="user-picker-selected">
+          {selected.map(user => (
+            <span key={user._id} className="user-chip">
+              {user.name}
+              <button
+                type="button"
+                onClick={() => handleRemove(user)}
+                disabled={disabled}
+                aria-label={`Remove ${user.name}`}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {(multiple || selected.length === 0) && (
+        <input
+          type="text"
+          id={id}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          disabled={disabled}
+          placeholder={placeholder}
+          autoComplete="off"
+        />
+      )}
+
+      {results.length > 0 && (
+        <ul className="user-picker-results">
+          {results.map(user => (
+            <li key={user._id}>
+              <button type="button" onClick={() => handleSelect(user)}>
+                {user.name} <span>{user.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default UserPicker;
@@ -0,0 +1,60 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is invalid.');
+  const requested = useRef(false);
+  
+  const { user, refreshUser } = useAuth();
+
+  useEffect(() => {
+    // Tokens are single-use, so never send the request twice
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await api.get('/auth/verify-email', { params: { token } });
+        setStatus('success');
+        setMessage(response.data.message);
+        if (user) {
+          refreshUser();
+        }
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      }
+    };
+
+    verify();
+  }, [token, user, refreshUser]);
+
+  return (
+    <div className="form-container">
+      <h2>Email Verification</h2>
+      
+      {status === 'verifying' && <p>Verifying your email...</p>}
+      
+      {status !== 'verifying' && (
+        <div className={`alert ${status === 'success' ? 'alert-success' : 'alert-error'}`}>
+          {message}
+        </div>
+      )}
+      
+      <div className="form-link">
+        <p>
+          {user
+            ? <Link to="/dashboard">Go to dashboard</Link>
+            : <Link to="/login">Go to login</Link>}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
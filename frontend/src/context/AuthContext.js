@@ -13,6 +13,7 @@ export const useAuth = () => {
 
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -29,41 +30,84 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await api.get('/auth/me');
       setUser(response.data.data.user);
+      setTwoFactorSetupRequired(Boolean(response.data.data.twoFactorSetupRequired));
     } catch (error) {
       console.error('Failed to fetch user:', error);
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       delete api.defaults.headers.common['Authorization'];
     } finally {
       setLoading(false);
     }
   };
 
+  const startSession = ({ user, token, refreshToken, twoFactorSetupRequired }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    setUser(user);
+    setTwoFactorSetupRequired(Boolean(twoFactorSetupRequired));
+  };
+
   const login = async (email, password) => {
     try {
       const response = await api.post('/auth/login', { email, password });
-      const { user, token } = response.data.data;
+      const data = response.data.data;
+
+      // Accounts with 2FA need a second step before a session is issued
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken };
+      }
+
+      startSession(data);
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
+      return { success: true, twoFactorSetupRequired: data.twoFactorSetupRequired };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Login failed'
+      };
+    }
+  };
+
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+      startSession(response.data.data);
       
       return { success: true };
     } catch (error) {
       return {
         success: false,
-        message: error.response?.data?.message || 'Login failed'
+        message: error.response?.data?.message || 'Verification failed'
       };
     }
   };
 
-  const register = async (name, email, password) => {
+  // Single sign-on hands back tokens directly; load the user they belong to
+  const loginWithTokens = async (token, refreshToken) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    await fetchUser();
+  };
+
+  const register = async (name, email, password, inviteCode) => {
     try {
-      const response = await api.post('/auth/register', { name, email, password });
-      const { user, token } = response.data.data;
+      const response = await api.post('/auth/register', {
+        name,
+        email,
+        password,
+        ...(inviteCode && { inviteCode })
+      });
+      const { user, token, refreshToken } = response.data.data;
+
+      // No session is issued while the email address awaits verification
+      if (!token) {
+        return { success: true, pendingVerification: true, message: response.data.message };
+      }
       
-      localStorage.setItem('token', token);
-      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-      setUser(user);
+      startSession({ user, token, refreshToken });
       
       return { success: true };
     } catch (error) {
@@ -74,18 +118,79 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const updateProfile = async (changes) => {
+    try {
+      const response = await api.patch('/auth/me', changes);
+      setUser(response.data.data.user);
+      
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Profile update failed'
+      };
+    }
+  };
+
+  // Other sessions are signed out; this one continues with the tokens returned
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+      const { token, refreshToken } = response.data.data;
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.response?.data?.message || 'Password change failed'
+      };
+    }
+  };
+
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     delete api.defaults.headers.common['Authorization'];
     setUser(null);
+    setTwoFactorSetupRequired(false);
+  };
+
+  const logout = async () => {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+    } finally {
+      clearSession();
+    }
+  };
+
+  const logoutAll = async () => {
+    try {
+      await api.post('/auth/logout-all');
+    } catch (error) {
+      console.error('Failed to revoke sessions:', error);
+    } finally {
+      clearSession();
+    }
   };
 
   const value = {
     user,
     loading,
+    twoFactorSetupRequired,
     login,
+    verifyTwoFactor,
+    loginWithTokens,
     register,
-    logout
+    updateProfile,
+    changePassword,
+    logout,
+    logoutAll,
+    refreshUser: fetchUser
   };
 
   return (
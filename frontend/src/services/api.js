@@ -21,15 +21,61 @@ api.interceptors.request.use(
   }
 );
 
+// Clear stored tokens and send the user back to the login page
+const redirectToLogin = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = '/login';
+};
+
+// Shared so that parallel 401s trigger a single refresh
+let refreshRequest = null;
+
+const refreshTokens = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  // Plain axios so the refresh call does not go through these interceptors
+  const response = await axios.post('/api/v1/auth/refresh', { refreshToken });
+  const { token, refreshToken: nextRefreshToken } = response.data.data;
+
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', nextRefreshToken);
+  api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+
+  return token;
+};
+
 // Response interceptor
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const isAuthRequest = originalRequest?.url?.startsWith('/auth/login')
+      || originalRequest?.url?.startsWith('/auth/register');
+
+    if (error.response?.status === 401 && originalRequest && !originalRequest._retry && !isAuthRequest) {
+      originalRequest._retry = true;
+
+      try {
+        refreshRequest = refreshRequest || refreshTokens();
+        const token = await refreshRequest;
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        redirectToLogin();
+        return Promise.reject(error);
+      } finally {
+        refreshRequest = null;
+      }
+    }
+
+    if (error.response?.status === 401 && !isAuthRequest) {
+      redirectToLogin();
     }
     return Promise.reject(error);
   }
@@ -1,7 +1,77 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const AccessToken = require('../models/AccessToken');
+const { randomToken, hashToken } = require('../utils/tokens');
 
-// Protect routes - verify JWT token
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 7;
+
+// Personal access tokens are recognisable by their prefix
+const ACCESS_TOKEN_PREFIX = 'pat_';
+exports.ACCESS_TOKEN_PREFIX = ACCESS_TOKEN_PREFIX;
+
+// Resolve a JWT access token to { user, auth }, or { message } when rejected
+const authenticateJwt = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Purpose-bound tokens (e.g. 2FA challenges) are not access tokens
+  if (decoded.purpose) {
+    return { message: 'Token is not valid' };
+  }
+
+  // Get user from token
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return { message: 'Token is not valid. User not found.' };
+  }
+
+  // Tokens issued before a logout-all, password or role change are stale
+  if ((decoded.tv || 0) !== user.tokenVersion) {
+    return { message: 'Token has been revoked' };
+  }
+
+  if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+    return { message: 'Token has been revoked' };
+  }
+
+  return { user, auth: { ...decoded, type: 'session' } };
+};
+
+// Resolve a personal access token to { user, auth }, or { message } when rejected
+const authenticateAccessToken = async (token) => {
+  const accessToken = await AccessToken.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!accessToken) {
+    return { message: 'Token is not valid' };
+  }
+
+  const user = await User.findById(accessToken.user);
+  if (!user) {
+    return { message: 'Token is not valid. User not found.' };
+  }
+
+  // Record usage at most once a minute to avoid a write on every request
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > 60 * 1000) {
+    await AccessToken.updateOne({ _id: accessToken._id }, { lastUsedAt: new Date() });
+  }
+
+  return {
+    user,
+    auth: {
+      type: 'access-token',
+      id: user._id,
+      tokenId: accessToken._id,
+      scopes: accessToken.scopes
+    }
+  };
+};
+
+// Protect routes - verify JWT or personal access token
 exports.protect = async (req, res, next) => {
   try {
     let token;
@@ -18,19 +88,27 @@ exports.protect = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from token
-    const user = await User.findById(decoded.id);
+    const { user, auth, message } = token.startsWith(ACCESS_TOKEN_PREFIX)
+      ? await authenticateAccessToken(token)
+      : await authenticateJwt(token);
+
     if (!user) {
       return res.status(401).json({
         status: 'error',
-        message: 'Token is not valid. User not found.'
+        message
+      });
+    }
+
+    // Admins who still have to enroll in 2FA can only reach the auth routes
+    if (exports.twoFactorSetupRequired(user) && !req.originalUrl.startsWith('/api/v1/auth')) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for admin accounts. Please enable it first.'
       });
     }
 
     req.user = user;
+    req.auth = auth;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -41,6 +119,31 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Require a scope when authenticated with a personal access token.
+// Interactive sessions carry every permission of their user.
+exports.requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.auth.type === 'access-token' && !req.auth.scopes.includes(scope)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Access denied. Token is missing the '${scope}' scope.`
+      });
+    }
+    next();
+  };
+};
+
+// Only allow interactive sessions, e.g. for account and token management
+exports.requireSession = (req, res, next) => {
+  if (req.auth.type !== 'session') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Access denied. This action requires logging in with a password.'
+    });
+  }
+  next();
+};
+
 // Restrict to specific roles
 exports.restrictTo = (...roles) => {
   return (req, res, next) => {
@@ -54,9 +157,154 @@ exports.restrictTo = (...roles) => {
   };
 };
 
-// Generate JWT token
-exports.generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
+// How unverified accounts are treated: 'full', 'read-only' or 'blocked'
+exports.unverifiedAccountMode = () => process.env.UNVERIFIED_ACCOUNT_MODE || 'read-only';
+
+// Require a verified email unless unverified accounts have full access
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified && exports.unverifiedAccountMode() !== 'full') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Please verify your email address to perform this action.'
+    });
+  }
+  next();
+};
+
+// Whether the user must enroll in 2FA before using the API
+exports.twoFactorSetupRequired = (user) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true'
+    && user.role === 'admin'
+    && !user.twoFactorEnabled;
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+exports.generateChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+// Decode a 2FA challenge token; returns null when invalid or expired
+exports.verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate short-lived JWT access token bound to the user's token version
+// and to the session (refresh token family) it belongs to
+exports.generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user._id, tv: user.tokenVersion || 0, sid: sessionId },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRE || '15m',
+      jwtid: crypto.randomUUID()
+    }
+  );
+};
+
+// Generate and store a refresh token; rotations of one login share a family
+exports.generateRefreshToken = async (user, ip, family) => {
+  const token = randomToken(40);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip
   });
-};
\ No newline at end of file
+
+  return token;
+};
+
+// Issue an access token and a refresh token for a fresh login
+exports.createSession = async (user, ip) => {
+  const sessionId = crypto.randomUUID();
+
+  return {
+    token: exports.generateToken(user, sessionId),
+    refreshToken: await exports.generateRefreshToken(user, ip, sessionId)
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole family is revoked.
+exports.rotateRefreshToken = async (token, ip) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Claim the token atomically so two concurrent refreshes cannot both win
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now }
+  );
+
+  if (!stored) {
+    const reused = await RefreshToken.findOne({ tokenHash, revokedAt: { $ne: null } });
+    if (reused) {
+      await exports.revokeSession(reused.family);
+    }
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || user.tokenVersion !== stored.tokenVersion) {
+    await exports.revokeSession(stored.family);
+    return null;
+  }
+
+  const refreshToken = await exports.generateRefreshToken(user, ip, stored.family);
+  await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: hashToken(refreshToken) });
+
+  return {
+    user,
+    token: exports.generateToken(user, stored.family),
+    refreshToken
+  };
+};
+
+// Revoke every refresh token of one session
+exports.revokeSession = async (sessionId) => {
+  await RefreshToken.updateMany(
+    { family: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Deny an access token until it expires
+exports.revokeAccessToken = async (decoded) => {
+  if (!decoded.jti) return;
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { user: decoded.id, expiresAt: new Date(decoded.exp * 1000) },
+    { upsert: true }
+  );
+};
+
+// Revoke every personal access token of a user
+exports.revokeAccessTokens = async (userId) => {
+  await AccessToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Invalidate every access, refresh and personal access token a user holds
+exports.revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  await exports.revokeAccessTokens(userId);
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Task = require('../models/Task');
+const { etagFor } = require('../utils/etag');
+
+// Conditions limiting tasks to those the user may access. Admins can access every task;
+// otherwise creators have full access, assignees can read and update, watchers can read.
+exports.accessQuery = (user, access = 'read') => {
+  if (user.role === 'admin') return {};
+
+  if (access === 'owner') {
+    return { createdBy: user._id };
+  }
+
+  const conditions = [{ createdBy: user._id }, { assignee: user._id }];
+  if (access === 'read') {
+    conditions.push({ watchers: user._id });
+  }
+
+  return { $or: conditions };
+};
+
+// Whether the user has the given access to a loaded task, matching accessQuery
+exports.hasAccess = (task, user, access = 'read') => {
+  if (user.role === 'admin' || task.createdBy.equals(user._id)) return true;
+  if (access === 'owner') return false;
+
+  if (task.assignee && task.assignee.equals(user._id)) return true;
+  return access === 'read' && task.watchers.some(watcher => watcher.equals(user._id));
+};
+
+// Load the task in req.params.id into req.task if the user has the given access to it
+exports.loadTask = (access = 'read') => async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    const task = await Task.findOne({
+      _id: req.params.id,
+      ...exports.accessQuery(req.user, access)
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Task not found'
+      });
+    }
+
+    // Saves through req.task are recorded in the history as the current user
+    task.$locals.actor = req.user._id;
+    req.task = task;
+    next();
+  } catch (error) {
+    console.error('Load task error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
+// 412 for a change to an outdated version, with the current task so the client can compare them
+exports.sendPreconditionFailed = async (res, taskId) => {
+  const task = await Task.findById(taskId).populate(Task.POPULATE);
+
+  if (!task) {
+    return res.status(404).json({
+      status: 'error',
+      message: 'Task not found'
+    });
+  }
+
+  res.set('ETag', etagFor(task));
+  res.status(412).json({
+    status: 'error',
+    message: 'The task has been changed by someone else since you loaded it',
+    data: { task }
+  });
+};
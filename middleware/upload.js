@@ -0,0 +1,75 @@
+const multer = require('multer');
+
+const MAX_SIZE_MB = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB, 10) || 10;
+
+// Specs, screenshots and logs; override with a comma-separated ATTACHMENT_ALLOWED_TYPES
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'text/markdown',
+  'application/json',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+
+const ALLOWED_TYPES = process.env.ATTACHMENT_ALLOWED_TYPES
+  ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim().toLowerCase()).filter(Boolean)
+  : DEFAULT_ALLOWED_TYPES;
+
+// Files are kept in memory until the storage driver saves them, so the size limit
+// also bounds the memory an upload can take
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_SIZE_MB * 1024 * 1024,
+    files: 1,
+    fields: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype.toLowerCase())) {
+      const error = new Error(`Files of type ${file.mimetype} are not allowed`);
+      error.status = 415;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// Parse a multipart upload with a single file in the "file" field into req.file
+exports.uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        status: 'error',
+        message: tooLarge ? `Files cannot be larger than ${MAX_SIZE_MB} MB` : error.message
+      });
+    }
+
+    if (error) {
+      return res.status(error.status || 400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Send the file as multipart/form-data in the "file" field'
+      });
+    }
+
+    next();
+  });
+};
+
+exports.ALLOWED_TYPES = ALLOWED_TYPES;
+exports.MAX_SIZE_MB = MAX_SIZE_MB;
@@ -1,4 +1,19 @@
 const Joi = require('joi');
+const AccessToken = require('../models/AccessToken');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+
+// Recurrence rule shared by task creation and updates
+const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid(...FREQUENCIES).required(),
+  interval: Joi.number().integer().min(1).max(99).optional(),
+  byWeekday: Joi.when('frequency', {
+    is: 'weekly',
+    then: Joi.array().items(Joi.string().valid(...WEEKDAYS)).unique().optional(),
+    otherwise: Joi.forbidden()
+  }),
+  until: Joi.date().optional(),
+  count: Joi.number().integer().min(1).max(1000).optional()
+}).oxor('until', 'count');
 
 // User registration validation
 exports.validateRegister = (req, res, next) => {
@@ -6,7 +21,7 @@ exports.validateRegister = (req, res, next) => {
     name: Joi.string().min(2).max(50).required(),
     email: Joi.string().email().required(),
     password: Joi.string().min(6).required(),
-    role: Joi.string().valid('user', 'admin').optional()
+    inviteCode: Joi.string().optional()
   });
 
   const { error } = schema.validate(req.body);
@@ -43,7 +58,17 @@ exports.validateTask = (req, res, next) => {
     description: Joi.string().min(1).max(500).required(),
     status: Joi.string().valid('pending', 'in-progress', 'completed').optional(),
     priority: Joi.string().valid('low', 'medium', 'high').optional(),
-    dueDate: Joi.date().optional()
+    dueDate: Joi.date().when('recurrence', { is: Joi.exist(), then: Joi.required() }),
+    tags: Joi.array().items(Joi.string().hex().length(24)).unique().max(20).optional(),
+    project: Joi.string().hex().length(24).allow(null).optional(),
+    assignee: Joi.string().hex().length(24).allow(null).optional(),
+    watchers: Joi.array().items(Joi.string().hex().length(24)).unique().max(20).optional(),
+    recurrence: recurrenceSchema.optional(),
+    checklist: Joi.array().items(Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      done: Joi.boolean().optional()
+    })).max(100).optional(),
+    autoComplete: Joi.boolean().optional()
   });
 
   const { error } = schema.validate(req.body);
@@ -63,7 +88,293 @@ exports.validateTaskUpdate = (req, res, next) => {
     description: Joi.string().min(1).max(500).optional(),
     status: Joi.string().valid('pending', 'in-progress', 'completed').optional(),
     priority: Joi.string().valid('low', 'medium', 'high').optional(),
-    dueDate: Joi.date().optional()
+    dueDate: Joi.date().allow(null).optional(),
+    tags: Joi.array().items(Joi.string().hex().length(24)).unique().max(20).optional(),
+    project: Joi.string().hex().length(24).allow(null).optional(),
+    assignee: Joi.string().hex().length(24).allow(null).optional(),
+    watchers: Joi.array().items(Joi.string().hex().length(24)).unique().max(20).optional(),
+    recurrence: recurrenceSchema.allow(null).optional(),
+    autoComplete: Joi.boolean().optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Bulk task action validation
+exports.validateBulkTasks = (req, res, next) => {
+  const tagIds = Joi.array().items(Joi.string().hex().length(24)).unique().max(20);
+  const schema = Joi.object({
+    action: Joi.string().valid('update', 'delete').required(),
+    ids: Joi.array().items(Joi.string().hex().length(24)).unique().min(1).max(100),
+    filter: Joi.object({
+      status: Joi.string().valid('pending', 'in-progress', 'completed'),
+      priority: Joi.string().valid('low', 'medium', 'high'),
+      assignedTo: Joi.string(),
+      createdBy: Joi.string(),
+      tags: Joi.alternatives().try(Joi.string(), tagIds),
+      tagMode: Joi.string().valid('any', 'all'),
+      project: Joi.string(),
+      q: Joi.string().max(200)
+    }).min(1),
+    changes: Joi.object({
+      status: Joi.string().valid('pending', 'in-progress', 'completed'),
+      priority: Joi.string().valid('low', 'medium', 'high'),
+      dueDate: Joi.date().allow(null),
+      tags: tagIds,
+      addTags: tagIds,
+      removeTags: tagIds
+    }).min(1).oxor('tags', 'addTags').oxor('tags', 'removeTags')
+      .when('action', { is: 'update', then: Joi.required(), otherwise: Joi.forbidden() })
+  }).xor('ids', 'filter');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Checklist item validation
+exports.validateChecklistItem = (req, res, next) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    done: Joi.boolean().optional(),
+    position: Joi.number().integer().min(0).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Checklist item update validation
+exports.validateChecklistItemUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    title: Joi.string().trim().min(1).max(200).optional(),
+    done: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Checklist reorder validation
+exports.validateChecklistOrder = (req, res, next) => {
+  const schema = Joi.object({
+    itemIds: Joi.array().items(Joi.string().hex().length(24)).unique().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Comment validation
+exports.validateComment = (req, res, next) => {
+  const schema = Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required(),
+    parentId: Joi.string().hex().length(24).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Comment update validation
+exports.validateCommentUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    body: Joi.string().trim().min(1).max(2000).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Tag validation
+exports.validateTag = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(30).required(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional()
+      .messages({ 'string.pattern.base': 'Color must be a hex value like #1a2b3c' })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Tag update validation
+exports.validateTagUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(30).optional(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional()
+      .messages({ 'string.pattern.base': 'Color must be a hex value like #1a2b3c' })
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Project validation
+exports.validateProject = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).required(),
+    description: Joi.string().trim().allow('').max(500).optional(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional()
+      .messages({ 'string.pattern.base': 'Color must be a hex value like #1a2b3c' })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Project update validation
+exports.validateProjectUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(50).optional(),
+    description: Joi.string().trim().allow('').max(500).optional(),
+    color: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).optional()
+      .messages({ 'string.pattern.base': 'Color must be a hex value like #1a2b3c' }),
+    archived: Joi.boolean().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Refresh token validation
+exports.validateRefresh = (req, res, next) => {
+  const schema = Joi.object({
+    refreshToken: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+
+// Email-only request validation (forgot password, resend verification)
+exports.validateEmailRequest = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Reset password validation
+exports.validateResetPassword = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().required(),
+    password: Joi.string().min(6).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Profile update validation
+exports.validateProfileUpdate = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().min(2).max(50).optional(),
+    email: Joi.string().email().optional()
+  }).min(1);
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Password change validation
+exports.validateChangePassword = (req, res, next) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(6).required()
   });
 
   const { error } = schema.validate(req.body);
@@ -74,4 +385,93 @@ exports.validateTaskUpdate = (req, res, next) => {
     });
   }
   next();
-};
\ No newline at end of file
+};
+
+// TOTP code validation
+exports.validateTwoFactorCode = (req, res, next) => {
+  const schema = Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+      .messages({ 'string.pattern.base': 'Code must be 6 digits' })
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Disable 2FA validation
+exports.validateTwoFactorDisable = (req, res, next) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().optional(),
+    recoveryCode: Joi.string().optional()
+  }).xor('code', 'recoveryCode');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Second login step validation
+exports.validateTwoFactorLogin = (req, res, next) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().optional(),
+    recoveryCode: Joi.string().optional()
+  }).xor('code', 'recoveryCode');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Invitation validation
+exports.validateInvitation = (req, res, next) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('user', 'admin').optional(),
+    email: Joi.string().email().optional(),
+    expiresInDays: Joi.number().integer().min(1).max(30).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
+
+// Personal access token validation
+exports.validateAccessToken = (req, res, next) => {
+  const schema = Joi.object({
+    name: Joi.string().min(1).max(50).required(),
+    scopes: Joi.array().items(Joi.string().valid(...AccessToken.SCOPES)).min(1).unique().required(),
+    expiresInDays: Joi.number().integer().min(1).max(365).optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      status: 'error',
+      message: error.details[0].message
+    });
+  }
+  next();
+};
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted
+const SCOPES = ['tasks:read', 'tasks:write', 'users:read', 'users:write'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AccessToken:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the token
+ *         name:
+ *           type: string
+ *           description: A label to recognise the token by
+ *         prefix:
+ *           type: string
+ *           description: The first characters of the token, for identification
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tasks:read, tasks:write, users:read, users:write]
+ *           description: What the token is allowed to do
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token stops being accepted
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token was last used
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token was revoked
+ */
+
+const accessTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: SCOPES
+    }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+accessTokenSchema.index({ user: 1, createdAt: -1 });
+
+const AccessToken = mongoose.model('AccessToken', accessTokenSchema);
+AccessToken.SCOPES = SCOPES;
+
+module.exports = AccessToken;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { getStorage } = require('../utils/storage');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Attachment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the attachment
+ *         task:
+ *           type: string
+ *           description: The task the file is attached to
+ *         uploadedBy:
+ *           type: object
+ *           description: The user who uploaded the file (name and email)
+ *         filename:
+ *           type: string
+ *           description: The original file name
+ *         mimeType:
+ *           type: string
+ *           example: application/pdf
+ *         size:
+ *           type: integer
+ *           description: File size in bytes
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the file was uploaded
+ */
+
+const attachmentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [255, 'File name cannot be more than 255 characters']
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  // Where the storage driver keeps the file; never sent to clients
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+attachmentSchema.index({ task: 1, createdAt: 1 });
+
+// Delete the attachments of the given tasks, files first
+attachmentSchema.statics.removeForTasks = async function(taskIds) {
+  const attachments = await this.find({ task: { $in: taskIds } }).select('+storageKey');
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+  }
+  await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+};
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
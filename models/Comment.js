@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Comment:
+ *       type: object
+ *       required:
+ *         - body
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the comment
+ *         task:
+ *           type: string
+ *           description: The task the comment belongs to
+ *         author:
+ *           type: object
+ *           description: The user who wrote the comment (name and email)
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: The comment this one replies to, null for top-level comments
+ *         body:
+ *           type: string
+ *           description: The comment text, empty once deleted
+ *         editedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the comment was last edited, absent if never edited
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Set when a comment with replies is deleted; its replies are kept
+ *         replies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Comment'
+ *           description: Replies, oldest first (only in comment listings)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: The date the comment was created
+ */
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  editedAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+commentSchema.index({ task: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
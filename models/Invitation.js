@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the invitation
+ *         email:
+ *           type: string
+ *           description: Email the invitation is restricted to, if any
+ *         role:
+ *           type: string
+ *           enum: [user, admin]
+ *           description: The role given to the account registered with this invitation
+ *         createdBy:
+ *           type: string
+ *           description: The admin who created the invitation
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the invitation stops being accepted
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the invitation was redeemed
+ *         usedBy:
+ *           type: string
+ *           description: The user who redeemed the invitation
+ */
+
+const invitationSchema = new mongoose.Schema({
+  // Only the SHA-256 hash of the invite code is stored
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+invitationSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
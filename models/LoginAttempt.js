@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one email address or one IP address
+const loginAttemptSchema = new mongoose.Schema({
+  // 'email:<address>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Counters are forgotten once the window and any lock have passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Pending SSO login: ties the callback to the browser that started it
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned logins are cleaned up automatically
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcState', oidcStateSchema);
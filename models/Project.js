@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Project:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the project
+ *         name:
+ *           type: string
+ *           description: The project name, unique per user (case-insensitive)
+ *         description:
+ *           type: string
+ *           description: What the project is about
+ *         color:
+ *           type: string
+ *           description: Hex color used to display the project
+ *           example: '#6610f2'
+ *         archived:
+ *           type: boolean
+ *           description: Archived projects keep their tasks but take no new ones
+ *         archivedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the project was archived, null while it is active
+ *         owner:
+ *           type: string
+ *           description: The user the project belongs to
+ *         taskCount:
+ *           type: integer
+ *           description: Number of tasks in the project (only in project listings)
+ *         completedCount:
+ *           type: integer
+ *           description: Number of completed tasks in the project (only in project listings)
+ *     ProjectStats:
+ *       type: object
+ *       properties:
+ *         total:
+ *           type: integer
+ *         byStatus:
+ *           type: object
+ *           properties:
+ *             pending:
+ *               type: integer
+ *             in-progress:
+ *               type: integer
+ *             completed:
+ *               type: integer
+ *         byPriority:
+ *           type: object
+ *           properties:
+ *             low:
+ *               type: integer
+ *             medium:
+ *               type: integer
+ *             high:
+ *               type: integer
+ *         overdue:
+ *           type: integer
+ *           description: Open tasks due before now
+ *         completionRate:
+ *           type: integer
+ *           nullable: true
+ *           description: Percentage of tasks completed, null for an empty project
+ */
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot be more than 50 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  color: {
+    type: String,
+    default: '#6c757d',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c']
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Keep archivedAt in step with archived
+projectSchema.pre('save', function(next) {
+  if (this.isModified('archived')) {
+    this.archivedAt = this.archived ? new Date() : null;
+  }
+  next();
+});
+
+// Project names are unique per user, ignoring case
+projectSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RefreshToken:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *           description: The user the token belongs to
+ *         family:
+ *           type: string
+ *           description: Session family shared by every rotation of the same login
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token stops being accepted
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the token was rotated or revoked
+ */
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Only the SHA-256 hash of the token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  // User's token version at issue time; a bump invalidates the token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  replacedBy: {
+    type: String
+  },
+  createdByIp: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Let MongoDB drop expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Tag:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: The auto-generated id of the tag
+ *         name:
+ *           type: string
+ *           description: The tag name, unique per user (case-insensitive)
+ *         color:
+ *           type: string
+ *           description: Hex color used to display the tag
+ *           example: '#0d6efd'
+ *         owner:
+ *           type: string
+ *           description: The user the tag belongs to
+ *         taskCount:
+ *           type: integer
+ *           description: Number of tasks using the tag (only in tag listings)
+ */
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [30, 'Name cannot be more than 30 characters']
+  },
+  color: {
+    type: String,
+    default: '#6c757d',
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1a2b3c']
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Tag names are unique per user, ignoring case
+tagSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: 'en', strength: 2 } }
+);
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const Comment = require('./Comment');
+const Attachment = require('./Attachment');
+const TaskHistory = require('./TaskHistory');
+const { WEIGHTS } = require('../utils/search');
 
 /**
  * @swagger
@@ -27,19 +31,107 @@ const mongoose = require('mongoose');
  *           type: string
  *           enum: [low, medium, high]
  *           description: The task priority
+ *         priorityRank:
+ *           type: integer
+ *           enum: [1, 2, 3]
+ *           description: The priority as a number (low 1, medium 2, high 3), used to sort by priority
  *         dueDate:
  *           type: string
  *           format: date-time
  *           description: The task due date
+ *         tags:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Tag'
+ *           description: Tags attached to the task
+ *         checklist:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *           description: Ordered checklist items
+ *         progress:
+ *           type: integer
+ *           nullable: true
+ *           description: Percentage of checklist items done, null without a checklist
+ *         autoComplete:
+ *           type: boolean
+ *           description: Complete the task when every checklist item is done
+ *         assignee:
+ *           type: string
+ *           nullable: true
+ *           description: The user the task is assigned to; they can see and update it
+ *         watchers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Users who can follow the task without being able to change it
+ *         project:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Project'
+ *           description: The project the task belongs to, one of its owner's
+ *         series:
+ *           nullable: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/TaskSeries'
+ *           description: The recurring series the task is an occurrence of
+ *         occurrence:
+ *           type: integer
+ *           nullable: true
+ *           description: Position of the task in its series, starting at 1
  *         createdBy:
  *           type: string
  *           description: The user who created the task
+ *         version:
+ *           type: integer
+ *           description: Incremented on every change; the task's ETag
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the task was moved to the trash, null otherwise
  *         createdAt:
  *           type: string
  *           format: date-time
  *           description: The date the task was created
+ *     ChecklistItem:
+ *       type: object
+ *       required:
+ *         - title
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         done:
+ *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
  */
 
+const MAX_CHECKLIST_ITEMS = 100;
+// Days a task stays in the trash before it is purged automatically
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+// Priorities in order, so they can be sorted by meaning rather than alphabetically
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+
+const checklistItemSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  done: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date
+  }
+});
+
 const taskSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -60,23 +152,273 @@ const taskSchema = new mongoose.Schema({
   },
   priority: {
     type: String,
-    enum: ['low', 'medium', 'high'],
+    enum: Object.keys(PRIORITY_RANKS),
     default: 'medium'
   },
+  // Kept in step with priority on validation
+  priorityRank: {
+    type: Number,
+    default: PRIORITY_RANKS.medium
+  },
   dueDate: {
     type: Date
   },
+  tags: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tag'
+  }],
+  checklist: {
+    type: [checklistItemSchema],
+    validate: [
+      items => items.length <= MAX_CHECKLIST_ITEMS,
+      `A checklist cannot have more than ${MAX_CHECKLIST_ITEMS} items`
+    ]
+  },
+  // Percentage of checklist items done, kept up to date on save
+  progress: {
+    type: Number,
+    default: null
+  },
+  autoComplete: {
+    type: Boolean,
+    default: false
+  },
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaskSeries',
+    default: null
+  },
+  occurrence: {
+    type: Number,
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Incremented on every save, for optimistic concurrency
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Set while the task is in the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
+// Trashed tasks are left out of every query, unless the query filters on deletedAt
+// itself or sets the withTrashed option
+const QUERY_MIDDLEWARE = [
+  'find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'countDocuments',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany'
+];
+
+taskSchema.pre(QUERY_MIDDLEWARE, function() {
+  if (this.getOptions().withTrashed || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+});
+
+taskSchema.pre('aggregate', function() {
+  if (this.options.withTrashed) return;
+
+  // Added to the first $match rather than as a stage of its own, since $text must come first
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+taskSchema.pre('validate', function(next) {
+  this.priorityRank = PRIORITY_RANKS[this.priority];
+  next();
+});
+
+// Roll checklist changes up into progress, and the status when autoComplete is on
+taskSchema.pre('save', function(next) {
+  if (!this.isModified('checklist') && !this.isModified('autoComplete')) return next();
+
+  const total = this.checklist.length;
+  const done = this.checklist.filter(item => item.done).length;
+  this.progress = total > 0 ? Math.round((done / total) * 100) : null;
+
+  if (this.autoComplete && total > 0) {
+    if (done === total) {
+      this.status = 'completed';
+    } else if (this.status === 'completed' && this.isModified('checklist')) {
+      // Unchecking an item reopens a task that was completed by its checklist
+      this.status = 'in-progress';
+    }
+  }
+
+  next();
+});
+
+// Keep the stored values of loaded tasks, so saves can be recorded as field-level changes
+taskSchema.post('init', function() {
+  this.$locals.original = TaskHistory.snapshot(this);
+});
+
+// Record every save in the task history, as the user in $locals.actor (nobody for
+// automatic changes such as new occurrences of a series)
+taskSchema.pre('save', function(next) {
+  this.$locals.historyAction = this.isNew ? 'created' : 'updated';
+  this.$locals.historyChanges = this.isNew || !this.$locals.original
+    ? []
+    : TaskHistory.diff(this.$locals.original, TaskHistory.snapshot(this));
+  next();
+});
+
+taskSchema.post('save', async function() {
+  const { historyAction, historyChanges, actor } = this.$locals;
+  this.$locals.original = TaskHistory.snapshot(this);
+
+  try {
+    await TaskHistory.record(this._id, actor, historyAction, historyChanges);
+  } catch (error) {
+    console.error('Record task history error:', error);
+  }
+});
+
+// Completing the latest occurrence of a series creates the next one right away
+taskSchema.pre('save', function(next) {
+  this.$locals.completedOccurrence = Boolean(this.series) && this.isModified('status') && this.status === 'completed';
+  next();
+});
+
+// Callers that save series changes after the task set $locals.deferAdvance and call
+// advanceSeries() themselves once the series is saved
+taskSchema.post('save', async function() {
+  if (this.$locals.deferAdvance) return;
+  await this.advanceSeries();
+});
+
+// Create the next occurrence if the last save completed the latest one of the series
+taskSchema.methods.advanceSeries = async function() {
+  if (!this.$locals.completedOccurrence) return;
+  this.$locals.completedOccurrence = false;
+
+  try {
+    const series = await mongoose.model('TaskSeries').findById(this.series);
+    if (series && series.occurrences === this.occurrence) {
+      await series.advance();
+    }
+  } catch (error) {
+    // The task itself was saved; the scheduled generator catches up later
+    console.error('Create next occurrence error:', error);
+  }
+};
+
+// Saves only apply to the version that was loaded, so concurrent changes are not lost:
+// a task changed in the meantime fails with a DocumentNotFoundError
+taskSchema.pre('save', function(next) {
+  if (this.isNew || !this.isModified()) return next();
+
+  this.$where = { version: this.constructor.versionCondition(this.version) };
+  this.version += 1;
+  next();
+});
+
+// Query condition matching any of the given versions. Tasks saved before versioning
+// have no version stored; they count as version 1.
+taskSchema.statics.versionCondition = function(versions) {
+  const list = [].concat(versions);
+  return { $in: list.includes(1) ? [...list, null] : list };
+};
+
+// Permanently delete the trashed tasks matching the conditions, with their comments,
+// files and any series left without occurrences. Returns how many tasks were purged.
+taskSchema.statics.purge = async function(conditions = {}) {
+  const tasks = await this.find({ deletedAt: { $ne: null }, ...conditions }).select('_id series');
+  if (tasks.length === 0) return 0;
+
+  const taskIds = tasks.map(task => task._id);
+  await this.deleteMany({ _id: { $in: taskIds } }).setOptions({ withTrashed: true });
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  await TaskHistory.deleteMany({ task: { $in: taskIds } });
+  await Attachment.removeForTasks(taskIds);
+
+  const seriesIds = [...new Set(tasks.filter(task => task.series).map(task => task.series.toString()))];
+  for (const seriesId of seriesIds) {
+    if (!(await this.exists({ series: seriesId }).setOptions({ withTrashed: true }))) {
+      await mongoose.model('TaskSeries').deleteOne({ _id: seriesId });
+    }
+  }
+
+  return taskIds.length;
+};
+
+// Purge tasks that have been in the trash longer than the retention period
+taskSchema.statics.purgeExpired = function(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return this.purge({ deletedAt: { $lte: cutoff } });
+};
+
+// Set the priority rank of tasks saved before it existed. Returns how many were updated.
+taskSchema.statics.backfillPriorityRanks = async function() {
+  let updated = 0;
+  for (const [priority, rank] of Object.entries(PRIORITY_RANKS)) {
+    const result = await this.updateMany({ priority, priorityRank: { $ne: rank } }, { priorityRank: rank })
+      .setOptions({ withTrashed: true });
+    updated += result.modifiedCount;
+  }
+  return updated;
+};
+
 // Index for better query performance
 taskSchema.index({ createdBy: 1, status: 1 });
+taskSchema.index({ priorityRank: 1 });
 taskSchema.index({ dueDate: 1 });
+taskSchema.index({ tags: 1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ watchers: 1 });
+taskSchema.index({ project: 1, status: 1 });
+taskSchema.index({ series: 1, status: 1 });
+taskSchema.index({ deletedAt: 1 });
+
+// Text index for full-text search
+taskSchema.index(
+  { title: 'text', description: 'text' },
+  { name: 'task_text_search', weights: WEIGHTS }
+);
+
+const Task = mongoose.model('Task', taskSchema);
+Task.MAX_CHECKLIST_ITEMS = MAX_CHECKLIST_ITEMS;
+Task.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
+Task.PRIORITY_RANKS = PRIORITY_RANKS;
+
+// References populated whenever a task is returned
+Task.POPULATE = [
+  { path: 'createdBy', select: 'name email' },
+  { path: 'assignee', select: 'name email' },
+  { path: 'watchers', select: 'name email' },
+  { path: 'tags', select: 'name color' },
+  { path: 'project', select: 'name color archived' },
+  { path: 'series', select: 'rule occurrences nextDueDate' }
+];
 
-module.exports = mongoose.model('Task', taskSchema);
\ No newline at end of file
+module.exports = Task;
\ No newline at end of file
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaskHistory:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         task:
+ *           type: string
+ *           description: The task the entry belongs to
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: The user who made the change (name and email), null for automatic changes
+ *         action:
+ *           type: string
+ *           enum: [created, updated, deleted, restored]
+ *         changes:
+ *           type: array
+ *           description: Changed fields with their old and new values (IDs for tags, assignee and watchers)
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: status
+ *               from:
+ *                 example: pending
+ *               to:
+ *                 example: in-progress
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the change was made
+ */
+
+// Task fields whose changes are recorded
+const TRACKED_FIELDS = [
+  'title', 'description', 'status', 'priority', 'dueDate',
+  'tags', 'project', 'assignee', 'watchers', 'checklist', 'autoComplete'
+];
+
+// Fields holding lists of IDs, where order does not matter
+const ID_LIST_FIELDS = ['tags', 'watchers'];
+
+// Fields holding a single ID
+const ID_FIELDS = ['project', 'assignee'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const taskHistorySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'deleted', 'restored'],
+    required: true
+  },
+  changes: [changeSchema]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for better query performance
+taskHistorySchema.index({ task: 1, createdAt: -1 });
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Plain values of the tracked fields, comparable with JSON and safe to store
+taskHistorySchema.statics.snapshot = function(task) {
+  const values = {};
+  for (const field of TRACKED_FIELDS) {
+    const value = task.get(field);
+
+    if (ID_LIST_FIELDS.includes(field)) {
+      values[field] = (value || []).map(item => String(idOf(item))).sort();
+    } else if (ID_FIELDS.includes(field)) {
+      values[field] = value ? String(idOf(value)) : null;
+    } else if (field === 'checklist') {
+      values[field] = (value || []).map(item => ({ title: item.title, done: item.done }));
+    } else if (value instanceof Date) {
+      values[field] = value.toISOString();
+    } else {
+      values[field] = value === undefined ? null : value;
+    }
+  }
+  return values;
+};
+
+// Field-level changes between two snapshots
+taskHistorySchema.statics.diff = function(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Record an entry; updates without changes are skipped
+taskHistorySchema.statics.record = function(taskId, actor, action, changes = []) {
+  if (action === 'updated' && changes.length === 0) return null;
+  return this.create({ task: taskId, actor: actor || null, action, changes });
+};
+
+const TaskHistory = mongoose.model('TaskHistory', taskHistorySchema);
+TaskHistory.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = TaskHistory;
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES, WEEKDAYS, nextOccurrence, toRRule } = require('../utils/recurrence');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Recurrence:
+ *       type: object
+ *       required:
+ *         - frequency
+ *       description: A subset of RFC 5545 RRULE. Set either until or count, not both.
+ *       properties:
+ *         frequency:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 99
+ *           default: 1
+ *           description: Repeat every N days, weeks or months
+ *         byWeekday:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [MO, TU, WE, TH, FR, SA, SU]
+ *           description: Weekdays to repeat on (weekly rules only)
+ *         until:
+ *           type: string
+ *           format: date-time
+ *           description: No occurrences are due after this date
+ *         count:
+ *           type: integer
+ *           minimum: 1
+ *           description: Total number of occurrences
+ *     TaskSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         rule:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         rrule:
+ *           type: string
+ *           description: The rule as an RRULE string
+ *           example: FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+ *         occurrences:
+ *           type: integer
+ *           description: Number of occurrences created so far
+ *         nextDueDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Due date of the next occurrence, null once the series has ended
+ */
+
+// Task fields every new occurrence copies from the series
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'tags', 'project', 'assignee', 'watchers', 'autoComplete'];
+
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    max: 99,
+    default: 1
+  },
+  byWeekday: [{
+    type: String,
+    enum: WEEKDAYS
+  }],
+  until: {
+    type: Date
+  },
+  count: {
+    type: Number,
+    min: 1
+  }
+}, { _id: false });
+
+const taskSeriesSchema = new mongoose.Schema({
+  rule: {
+    type: recurrenceSchema,
+    required: true
+  },
+  template: {
+    title: String,
+    description: String,
+    priority: String,
+    tags: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tag'
+    }],
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    watchers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Titles of the checklist items each occurrence starts with, all unchecked
+    checklist: [String],
+    autoComplete: Boolean
+  },
+  // Due date of the first occurrence, which weekly and monthly rules are aligned to
+  startDate: {
+    type: Date,
+    required: true
+  },
+  lastDueDate: {
+    type: Date,
+    required: true
+  },
+  nextDueDate: {
+    type: Date,
+    default: null
+  },
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+taskSeriesSchema.virtual('rrule').get(function() {
+  return this.rule ? toRRule(this.rule) : undefined;
+});
+
+// Copy the template fields present in changes into the series template.
+// Returns the copied fields, ready to apply to the open occurrences.
+taskSeriesSchema.methods.applyTemplate = function(changes) {
+  const applied = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (changes[field] !== undefined) {
+      this.set(`template.${field}`, changes[field]);
+      applied[field] = changes[field];
+    }
+  }
+  return applied;
+};
+
+// Replace the rule, or end the series with null
+taskSeriesSchema.methods.setRule = function(rule) {
+  if (!rule) {
+    this.nextDueDate = null;
+    return;
+  }
+
+  this.rule = rule;
+  this.nextDueDate = nextOccurrence(this.rule, this.lastDueDate, this.occurrences, this.startDate);
+};
+
+// Create the next occurrence, or return null if the series has ended, its project is
+// archived or another request created it first
+taskSeriesSchema.methods.advance = async function() {
+  if (!this.nextDueDate) return null;
+
+  // Archived projects take no new tasks, so their series pause until the project is restored
+  if (this.template.project && await mongoose.model('Project').exists({ _id: this.template.project, archived: true })) {
+    return null;
+  }
+
+  const occurrence = this.occurrences + 1;
+  const dueDate = this.nextDueDate;
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, occurrences: this.occurrences },
+    {
+      occurrences: occurrence,
+      lastDueDate: dueDate,
+      nextDueDate: nextOccurrence(this.rule, dueDate, occurrence, this.startDate)
+    },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const { template } = claimed;
+  const Task = mongoose.model('Task');
+  return Task.create({
+    title: template.title,
+    description: template.description,
+    priority: template.priority,
+    tags: template.tags,
+    project: template.project,
+    assignee: template.assignee,
+    watchers: template.watchers,
+    checklist: template.checklist.map(title => ({ title })),
+    autoComplete: template.autoComplete,
+    dueDate,
+    series: claimed._id,
+    occurrence,
+    createdBy: claimed.createdBy
+  });
+};
+
+// Start a series with the task as its first occurrence. The task needs a due date.
+taskSeriesSchema.statics.fromTask = function(task, rule) {
+  const series = new this({
+    rule,
+    template: {
+      checklist: task.checklist.map(item => item.title)
+    },
+    startDate: task.dueDate,
+    lastDueDate: task.dueDate,
+    createdBy: task.createdBy
+  });
+  series.applyTemplate(task.toObject());
+  series.setRule(rule);
+  return series;
+};
+
+// Scheduled generator: create the next occurrence of every series whose latest
+// occurrence is due, whether or not it was completed. Returns how many were created.
+taskSeriesSchema.statics.generateDue = async function(now = new Date()) {
+  const due = await this.find({ nextDueDate: { $ne: null }, lastDueDate: { $lte: now } });
+
+  let created = 0;
+  for (const series of due) {
+    if (await series.advance()) created++;
+  }
+  return created;
+};
+
+taskSeriesSchema.index({ nextDueDate: 1, lastDueDate: 1 });
+
+const TaskSeries = mongoose.model('TaskSeries', taskSeriesSchema);
+TaskSeries.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+module.exports = TaskSeries;
@@ -1,5 +1,10 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { verifyCode } = require('../utils/totp');
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS, 10) || 24;
 
 /**
  * @swagger
@@ -25,6 +30,15 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           enum: [user, admin]
  *           description: The user's role
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user has confirmed their email address
+ *         pendingEmail:
+ *           type: string
+ *           description: New email address waiting for confirmation
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Whether logins require a TOTP code
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -50,7 +64,8 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    // Accounts created through single sign-on may have no password
+    required: [function() { return !this.identities || this.identities.length === 0; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -58,11 +73,88 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
-  }
+  },
+  // Incremented to invalidate every token issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Hash of the single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // New address awaiting confirmation; email only changes once it is verified
+  pendingEmail: {
+    type: String,
+    lowercase: true
+  },
+  // Hash of the email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  // Base32 TOTP secret, set during enrollment
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // External single sign-on identities linked to this account
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    }
+  }]
 }, {
   timestamps: true
 });
 
+// Index for single sign-on lookups
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.provider': { $exists: true } } }
+);
+
+// Revoke existing tokens when credentials or privileges change
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -78,13 +170,69 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a password reset token; only its hash is stored
+userSchema.methods.createPasswordResetToken = function() {
+  const token = randomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Create an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = randomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000);
+  return token;
+};
+
+// Check a TOTP code against the enrolled secret (needs +twoFactorSecret +twoFactorLastStep)
+userSchema.methods.verifyTwoFactorCode = function(code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyCode(this.twoFactorSecret, code);
+  if (step === null || (this.twoFactorLastStep && step <= this.twoFactorLastStep)) {
+    return false;
+  }
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Create a fresh set of recovery codes; only their hashes are stored
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = randomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code (needs +twoFactorRecoveryCodes)
+userSchema.methods.useRecoveryCode = function(code) {
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashToken(code.trim().toLowerCase()));
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastStep;
   return userObject;
 };
 
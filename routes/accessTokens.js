@@ -0,0 +1,160 @@
+const express = require('express');
+const AccessToken = require('../models/AccessToken');
+const { protect, requireSession, ACCESS_TOKEN_PREFIX } = require('../middleware/auth');
+const { validateAccessToken } = require('../middleware/validation');
+const { randomToken, hashToken } = require('../utils/tokens');
+
+const router = express.Router();
+
+// All routes are protected; tokens cannot be used to manage tokens
+router.use(protect);
+router.use(requireSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   get:
+ *     summary: Get the current user's personal access tokens
+ *     tags: [Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Access tokens retrieved successfully
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await AccessToken.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { tokens }
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     tags: [Access Tokens]
+ *     description: "The token is only returned once. Send it as `Authorization: Bearer <token>`."
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write, users:read, users:write]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: Defaults to 30 days
+ *     responses:
+ *       201:
+ *         description: Access token created successfully
+ */
+router.post('/', validateAccessToken, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = 30 } = req.body;
+
+    const token = `${ACCESS_TOKEN_PREFIX}${randomToken(32)}`;
+    const accessToken = await AccessToken.create({
+      user: req.user._id,
+      name,
+      tokenHash: hashToken(token),
+      prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+      scopes,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    // Only the token itself is shown, once; its hash never leaves the server
+    accessToken.tokenHash = undefined;
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Access token created successfully',
+      data: {
+        accessToken,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/tokens/{id}:
+ *   delete:
+ *     summary: Revoke a personal access token
+ *     tags: [Access Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Access token ID
+ *     responses:
+ *       200:
+ *         description: Access token revoked successfully
+ *       404:
+ *         description: Access token not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Access token not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Access token revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
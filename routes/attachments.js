@@ -0,0 +1,321 @@
+const express = require('express');
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { loadTask } = require('../middleware/taskAccess');
+const { uploadAttachment } = require('../middleware/upload');
+const { getStorage } = require('../utils/storage');
+
+// Mounted under /api/v1/tasks/:id/attachments by the task routes, which handle authentication
+const router = express.Router({ mergeParams: true });
+
+const MAX_ATTACHMENTS_PER_TASK = 20;
+
+// Find an attachment on the task in the URL
+const findAttachment = async (req, select) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attachmentId)) return null;
+  return Attachment.findOne({ _id: req.params.attachmentId, task: req.task._id }).select(select);
+};
+
+const sendAttachmentNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Attachment not found'
+});
+
+// Multer decodes file names as latin1; keep the base name, decoded as UTF-8
+const cleanFilename = (originalname) => (
+  path.basename(Buffer.from(originalname, 'latin1').toString('utf8')).slice(0, 255) || 'file'
+);
+
+// Content-Disposition for a download, with an ASCII fallback and the UTF-8 name (RFC 6266)
+const contentDisposition = (filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments:
+ *   get:
+ *     summary: List the files attached to a task
+ *     tags: [Attachments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Attachments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     attachments:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Attachment'
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', requireScope('tasks:read'), loadTask(), async (req, res) => {
+  try {
+    const attachments = await Attachment.find({ task: req.task._id })
+      .populate('uploadedBy', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { attachments }
+    });
+  } catch (error) {
+    console.error('Get attachments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments:
+ *   post:
+ *     summary: Attach a file to a task
+ *     tags: [Attachments]
+ *     description: |
+ *       The task owner and assignee can attach files. Size and type are limited by
+ *       ATTACHMENT_MAX_SIZE_MB (10 MB by default) and ATTACHMENT_ALLOWED_TYPES
+ *       (images, PDF, text, CSV, Markdown, JSON, ZIP and Office documents by default).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File attached successfully
+ *       400:
+ *         description: No file sent, or the task has too many attachments
+ *       404:
+ *         description: Task not found
+ *       413:
+ *         description: File too large
+ *       415:
+ *         description: File type not allowed
+ */
+router.post('/', requireScope('tasks:write'), requireVerifiedEmail, loadTask('write'), uploadAttachment, async (req, res) => {
+  try {
+    const { task, file } = req;
+
+    if (await Attachment.countDocuments({ task: task._id }) >= MAX_ATTACHMENTS_PER_TASK) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A task cannot have more than ${MAX_ATTACHMENTS_PER_TASK} attachments`
+      });
+    }
+
+    const storageKey = `${task._id}/${crypto.randomBytes(16).toString('hex')}`;
+    const storage = getStorage();
+    await storage.save(storageKey, file.buffer);
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        task: task._id,
+        uploadedBy: req.user._id,
+        filename: cleanFilename(file.originalname),
+        mimeType: file.mimetype,
+        size: file.size,
+        storageKey
+      });
+    } catch (error) {
+      // Do not leave an orphaned file behind
+      await storage.remove(storageKey);
+      throw error;
+    }
+
+    attachment.storageKey = undefined;
+    await attachment.populate('uploadedBy', 'name email');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'File attached successfully',
+      data: { attachment }
+    });
+  } catch (error) {
+    console.error('Upload attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments/{attachmentId}/download:
+ *   get:
+ *     summary: Download an attached file
+ *     tags: [Attachments]
+ *     description: Anyone who can see the task can download its files. Files are always sent as downloads, never rendered inline.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: The file contents
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.get('/:attachmentId/download', requireScope('tasks:read'), loadTask(), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, '+storageKey');
+
+    if (!attachment) {
+      return sendAttachmentNotFound(res);
+    }
+
+    const stream = getStorage().createReadStream(attachment.storageKey);
+
+    stream.on('error', (error) => {
+      console.error('Download attachment error:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.removeHeader('Content-Length');
+      res.removeHeader('Content-Disposition');
+      res.status(404).json({
+        status: 'error',
+        message: 'The file is no longer available'
+      });
+    });
+
+    res.set({
+      'Content-Type': attachment.mimeType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(attachment.filename),
+      'Cache-Control': 'private, no-store'
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Download attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/attachments/{attachmentId}:
+ *   delete:
+ *     summary: Remove an attached file
+ *     tags: [Attachments]
+ *     description: The uploader, the task owner and admins can remove a file.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: attachmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Attachment ID
+ *     responses:
+ *       200:
+ *         description: Attachment removed successfully
+ *       403:
+ *         description: Not allowed to remove this attachment
+ *       404:
+ *         description: Task or attachment not found
+ */
+router.delete('/:attachmentId', requireScope('tasks:write'), requireVerifiedEmail, loadTask(), async (req, res) => {
+  try {
+    const attachment = await findAttachment(req, '+storageKey');
+
+    if (!attachment) {
+      return sendAttachmentNotFound(res);
+    }
+
+    const canRemove = req.user.role === 'admin'
+      || attachment.uploadedBy.equals(req.user._id)
+      || req.task.createdBy.equals(req.user._id);
+
+    if (!canRemove) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the uploader or the task owner can remove this attachment'
+      });
+    }
+
+    await getStorage().remove(attachment.storageKey);
+    await attachment.deleteOne();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Attachment removed successfully'
+    });
+  } catch (error) {
+    console.error('Delete attachment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,61 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { generateToken, protect } = require('../middleware/auth');
-const { validateRegister, validateLogin } = require('../middleware/validation');
+const Invitation = require('../models/Invitation');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllSessions,
+  revokeAccessTokens,
+  unverifiedAccountMode,
+  twoFactorSetupRequired,
+  generateChallengeToken,
+  verifyChallengeToken,
+  protect,
+  requireSession
+} = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefresh,
+  validateEmailRequest,
+  validateResetPassword,
+  validateProfileUpdate,
+  validateChangePassword,
+  validateTwoFactorLogin
+} = require('../middleware/validation');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+const { hashToken } = require('../utils/tokens');
+const { getLockout, recordFailedLogin, clearFailedLogins } = require('../utils/loginAttempts');
 
 const router = express.Router();
 
+// Compared against when the email is unknown, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password', 12);
+
+// Same response whether the email is unknown, the password is wrong or the email is locked
+const sendTooManyAttempts = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    message: 'Too many failed login attempts. Please try again later.'
+  });
+};
+
+// Email a link to the frontend page that confirms the address
+const sendVerificationEmail = async (user, token, to = user.email) => {
+  await sendMail({
+    to,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\n`
+      + 'Please confirm your email address by opening the link below.\n\n'
+      + `${frontendUrl('/verify-email', { token })}\n\n`
+      + 'If you did not request this, you can ignore this email.'
+  });
+};
+
 /**
  * @swagger
  * /api/v1/auth/register:
@@ -28,18 +79,18 @@ const router = express.Router();
  *                 type: string
  *               password:
  *                 type: string
- *               role:
+ *               inviteCode:
  *                 type: string
- *                 enum: [user, admin]
+ *                 description: Invitation code from an admin; its role is given to the new account
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, invalid invitation or user already exists
  */
 router.post('/register', validateRegister, async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password, inviteCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -50,23 +101,85 @@ router.post('/register', validateRegister, async (req, res) => {
       });
     }
 
-    // Create user
-    const user = await User.create({
+    // Public registration always creates a 'user'; other roles need an invitation
+    let invitation = null;
+    if (inviteCode) {
+      const now = new Date();
+
+      // Claim the invitation atomically so it can only be redeemed once
+      invitation = await Invitation.findOneAndUpdate(
+        {
+          codeHash: hashToken(inviteCode),
+          usedAt: null,
+          expiresAt: { $gt: now },
+          email: { $in: [null, email.toLowerCase()] }
+        },
+        { usedAt: now },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid or expired invitation code'
+        });
+      }
+    }
+
+    // Create user; an invitation sent to this address already proves it
+    const user = new User({
       name,
       email,
       password,
-      role: role || 'user'
+      role: invitation ? invitation.role : 'user',
+      emailVerified: Boolean(invitation && invitation.email)
     });
+    const verificationToken = user.emailVerified ? null : user.createEmailVerificationToken();
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Give the invitation back if the account could not be created
+      if (invitation) {
+        await Invitation.updateOne({ _id: invitation._id }, { $unset: { usedAt: 1 } });
+      }
+      throw saveError;
+    }
+
+    if (invitation) {
+      await Invitation.updateOne({ _id: invitation._id }, { usedBy: user._id });
+    }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (!user.emailVerified) {
+      try {
+        await sendVerificationEmail(user, verificationToken);
+      } catch (mailError) {
+        // The user can ask for a new link, so registration still succeeds
+        console.error('Verification email error:', mailError);
+      }
+    }
+
+    // Blocked accounts get no session until the email is verified
+    if (!user.emailVerified && unverifiedAccountMode() === 'blocked') {
+      return res.status(201).json({
+        status: 'success',
+        message: 'User registered successfully. Please verify your email to log in.',
+        data: { user }
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req.ip);
 
     res.status(201).json({
       status: 'success',
-      message: 'User registered successfully',
+      message: user.emailVerified
+        ? 'User registered successfully'
+        : 'User registered successfully. Please verify your email.',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -100,34 +213,63 @@ router.post('/register', validateRegister, async (req, res) => {
  *                 type: string
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a 2FA challenge token when two-factor authentication is enabled
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many failed attempts for this email or IP address
  */
 router.post('/login', validateLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    const retryAfter = await getLockout(email, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
-    if (!user) {
+
+    // Check password
+    let isPasswordValid = false;
+    if (user) {
+      isPasswordValid = await user.comparePassword(password);
+    } else {
+      await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    }
+
+    if (!isPasswordValid) {
+      await recordFailedLogin(email, req.ip);
       return res.status(401).json({
         status: 'error',
         message: 'Invalid email or password'
       });
     }
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
+    await clearFailedLogins(email);
+
+    if (!user.emailVerified && unverifiedAccountMode() === 'blocked') {
+      return res.status(403).json({
         status: 'error',
-        message: 'Invalid email or password'
+        message: 'Please verify your email address before logging in'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user)
+        }
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await createSession(user, req.ip);
 
     // Remove password from response
     user.password = undefined;
@@ -137,7 +279,9 @@ router.post('/login', validateLogin, async (req, res) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        token,
+        refreshToken,
+        twoFactorSetupRequired: twoFactorSetupRequired(user)
       }
     });
   } catch (error) {
@@ -149,6 +293,453 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     summary: Complete a two-factor login
+ *     tags: [Authentication]
+ *     description: Exchange the challenge token from /auth/login plus a TOTP code or a recovery code for a session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/login/2fa', validateTwoFactorLogin, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = verifyChallengeToken(challengeToken);
+    const user = challenge && await User.findById(challenge.id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.twoFactorEnabled || challenge.tv !== user.tokenVersion) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    const retryAfter = await getLockout(user.email, req.ip);
+    if (retryAfter > 0) {
+      return sendTooManyAttempts(res, retryAfter);
+    }
+
+    const isCodeValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!isCodeValid) {
+      await recordFailedLogin(user.email, req.ip);
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Persist the consumed recovery code or last used TOTP step
+    await user.save();
+    await clearFailedLogins(user.email);
+
+    const { token, refreshToken } = await createSession(user, req.ip);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+      }
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during login'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     tags: [Authentication]
+ *     description: Refresh tokens are single-use. Reusing a rotated token revokes every token of that session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ */
+router.post('/refresh', validateRefresh, async (req, res) => {
+  try {
+    const session = await rotateRefreshToken(req.body.refreshToken, req.ip);
+    if (!session) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Token refreshed successfully',
+      data: {
+        token: session.token,
+        refreshToken: session.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags: [Authentication]
+ *     description: Revokes the access token used for the request and every refresh token of its session.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', protect, requireSession, async (req, res) => {
+  try {
+    await revokeAccessToken(req.auth);
+    if (req.auth.sid) {
+      await revokeSession(req.auth.sid);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the current user and revoke their personal access tokens
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions logged out successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', protect, requireSession, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'All sessions logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Authentication]
+ *     description: Always responds with the same message so it cannot be used to find out which emails are registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\n`
+          + 'Use the link below to choose a new password. It can only be used once '
+          + `and expires in ${process.env.PASSWORD_RESET_EXPIRE_MINUTES || 60} minutes.\n\n`
+          + `${frontendUrl('/reset-password', { token })}\n\n`
+          + 'If you did not request a password reset, you can ignore this email.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     tags: [Authentication]
+ *     description: Reset tokens are single-use. A successful reset signs the user out of every session.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ */
+router.post('/reset-password', validateResetPassword, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    // Consume the token atomically so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Changing the password bumps tokenVersion, revoking existing sessions;
+    // personal access tokens are not versioned, so they are revoked as well
+    user.password = password;
+    await user.save();
+    await revokeAccessTokens(user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/verify-email:
+ *   get:
+ *     summary: Confirm an email address with a verification token
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.get('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // Consume the token atomically so it cannot be used twice
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      { $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid or expired verification token'
+      });
+    }
+
+    // A pending address replaces the current one once confirmed
+    if (user.pendingEmail) {
+      if (await User.exists({ email: user.pendingEmail })) {
+        user.pendingEmail = undefined;
+        await user.save();
+        return res.status(400).json({
+          status: 'error',
+          message: 'This email is already in use'
+        });
+      }
+
+      user.email = user.pendingEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email verified successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     description: Always responds with the same message so it cannot be used to find out which emails are registered.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the account exists and is unverified
+ */
+router.post('/resend-verification', validateEmailRequest, async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && (!user.emailVerified || user.pendingEmail)) {
+      const token = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, token, user.pendingEmail || user.email);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'If this email needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/auth/me:
@@ -168,7 +759,8 @@ router.get('/me', protect, async (req, res) => {
     res.status(200).json({
       status: 'success',
       data: {
-        user: req.user
+        user: req.user,
+        twoFactorSetupRequired: twoFactorSetupRequired(req.user)
       }
     });
   } catch (error) {
@@ -180,4 +772,166 @@ router.get('/me', protect, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/auth/me:
+ *   patch:
+ *     summary: Update current user profile
+ *     tags: [Authentication]
+ *     description: A new email address only replaces the current one after it is confirmed through the link sent to it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Validation error or email already in use
+ *       401:
+ *         description: Unauthorized
+ */
+router.patch('/me', protect, requireSession, validateProfileUpdate, async (req, res) => {
+  try {
+    const { name, email } = req.body;
+    const user = await User.findById(req.user._id);
+    const emailChanged = Boolean(email) && email.toLowerCase() !== user.email;
+    let verificationToken;
+
+    if (emailChanged && await User.exists({ email: email.toLowerCase() })) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This email is already in use'
+      });
+    }
+
+    if (name) {
+      user.name = name;
+    }
+
+    if (emailChanged) {
+      user.pendingEmail = email;
+      verificationToken = user.createEmailVerificationToken();
+    } else if (email) {
+      // Submitting the current address cancels a pending change
+      user.pendingEmail = undefined;
+    }
+
+    await user.save();
+
+    if (emailChanged) {
+      await sendVerificationEmail(user, verificationToken, user.pendingEmail);
+
+      // Let the current address know, in case the change was not made by its owner
+      await sendMail({
+        to: user.email,
+        subject: 'Your email address is being changed',
+        text: `Hi ${user.name},\n\n`
+          + `A request was made to change the email address of your account to ${user.pendingEmail}. `
+          + 'The change takes effect once the new address is confirmed.\n\n'
+          + 'If you did not make this request, change your password right away.'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: emailChanged
+        ? 'Profile updated. Check your new email address to confirm the change.'
+        : 'Profile updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/change-password:
+ *   post:
+ *     summary: Change the current user's password
+ *     tags: [Authentication]
+ *     description: Signs out every other session. The response carries a new access and refresh token for the current client.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Current password is incorrect
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/change-password', protect, requireSession, validateChangePassword, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This account has no password yet. Use "Forgot password" to set one.'
+      });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Changing the password bumps tokenVersion, revoking every session,
+    // so the current client gets a fresh one. Personal access tokens are
+    // revoked as well.
+    user.password = newPassword;
+    await user.save();
+    await revokeAccessTokens(user._id);
+
+    const { token, refreshToken } = await createSession(user, req.ip);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,306 @@
+const express = require('express');
+const Task = require('../models/Task');
+const { requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { loadTask, sendPreconditionFailed } = require('../middleware/taskAccess');
+const {
+  validateChecklistItem,
+  validateChecklistItemUpdate,
+  validateChecklistOrder
+} = require('../middleware/validation');
+
+// Mounted under /api/v1/tasks/:id/checklist by the task routes, which handle authentication
+const router = express.Router({ mergeParams: true });
+
+router.use(requireScope('tasks:write'));
+router.use(requireVerifiedEmail);
+router.use(loadTask('write'));
+
+// Every checklist change responds with the whole task, so progress and status stay in sync
+const sendTask = async (res, task, message, statusCode = 200) => {
+  await task.populate(Task.POPULATE);
+
+  res.status(statusCode).json({
+    status: 'success',
+    message,
+    data: { task }
+  });
+};
+
+// The task was saved by someone else between loading and saving it. Checklist
+// changes are array changes, which Mongoose also versions and reports as a VersionError
+const isConcurrentSave = (error) => ['DocumentNotFoundError', 'VersionError'].includes(error.name);
+
+const sendItemNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Checklist item not found'
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item to a task
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Where to insert the item; appended by default
+ *     responses:
+ *       201:
+ *         description: Item added; returns the updated task
+ *       400:
+ *         description: Validation error or checklist full
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task was changed by someone else at the same time; returns the current task
+ */
+router.post('/', validateChecklistItem, async (req, res) => {
+  try {
+    const { title, done = false, position } = req.body;
+    const { task } = req;
+
+    if (task.checklist.length >= Task.MAX_CHECKLIST_ITEMS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A checklist cannot have more than ${Task.MAX_CHECKLIST_ITEMS} items`
+      });
+    }
+
+    const item = { title, done, completedAt: done ? new Date() : undefined };
+    const index = position === undefined ? task.checklist.length : Math.min(position, task.checklist.length);
+    task.checklist.splice(index, 0, item);
+    await task.save();
+
+    await sendTask(res, task, 'Checklist item added successfully', 201);
+  } catch (error) {
+    if (isConcurrentSave(error)) {
+      return sendPreconditionFailed(res, req.task._id);
+    }
+    console.error('Add checklist item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/order:
+ *   put:
+ *     summary: Reorder a task's checklist
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Every item ID of the checklist, in the new order
+ *     responses:
+ *       200:
+ *         description: Checklist reordered; returns the updated task
+ *       400:
+ *         description: The IDs do not match the checklist items
+ *       404:
+ *         description: Task not found
+ *       412:
+ *         description: The task was changed by someone else at the same time; returns the current task
+ */
+router.put('/order', validateChecklistOrder, async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+    const { task } = req;
+
+    const items = itemIds.map(itemId => task.checklist.id(itemId));
+    if (items.length !== task.checklist.length || items.some(item => !item)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'itemIds must list every checklist item exactly once'
+      });
+    }
+
+    task.checklist = items.map(item => item.toObject());
+    await task.save();
+
+    await sendTask(res, task, 'Checklist reordered successfully');
+  } catch (error) {
+    if (isConcurrentSave(error)) {
+      return sendPreconditionFailed(res, req.task._id);
+    }
+    console.error('Reorder checklist error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Rename or toggle a checklist item
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checklist item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Item updated; returns the updated task
+ *       404:
+ *         description: Task or item not found
+ *       412:
+ *         description: The task was changed by someone else at the same time; returns the current task
+ */
+router.patch('/:itemId', validateChecklistItemUpdate, async (req, res) => {
+  try {
+    const { title, done } = req.body;
+    const { task } = req;
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return sendItemNotFound(res);
+    }
+
+    if (title !== undefined) {
+      item.title = title;
+    }
+
+    if (done !== undefined && done !== item.done) {
+      item.done = done;
+      item.completedAt = done ? new Date() : undefined;
+    }
+
+    await task.save();
+
+    await sendTask(res, task, 'Checklist item updated successfully');
+  } catch (error) {
+    if (isConcurrentSave(error)) {
+      return sendPreconditionFailed(res, req.task._id);
+    }
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Remove a checklist item
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checklist item ID
+ *     responses:
+ *       200:
+ *         description: Item removed; returns the updated task
+ *       404:
+ *         description: Task or item not found
+ *       412:
+ *         description: The task was changed by someone else at the same time; returns the current task
+ */
+router.delete('/:itemId', async (req, res) => {
+  try {
+    const { task } = req;
+    const item = task.checklist.id(req.params.itemId);
+
+    if (!item) {
+      return sendItemNotFound(res);
+    }
+
+    item.deleteOne();
+    await task.save();
+
+    await sendTask(res, task, 'Checklist item removed successfully');
+  } catch (error) {
+    if (isConcurrentSave(error)) {
+      return sendPreconditionFailed(res, req.task._id);
+    }
+    console.error('Remove checklist item error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
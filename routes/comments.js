@@ -0,0 +1,310 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const { requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { loadTask } = require('../middleware/taskAccess');
+const { validateComment, validateCommentUpdate } = require('../middleware/validation');
+
+// Mounted under /api/v1/tasks/:id/comments by the task routes, which handle authentication
+const router = express.Router({ mergeParams: true });
+
+// Anyone who can see the task can read and join its discussion
+router.use(loadTask());
+
+// Nest replies under their parent comments, oldest first
+const buildThreads = (comments) => {
+  const byId = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+  const threads = [];
+
+  byId.forEach(comment => {
+    const parent = comment.parent && byId.get(comment.parent.toString());
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  });
+
+  return threads;
+};
+
+// Find a comment on the task in the URL
+const findComment = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.commentId)) return null;
+  return Comment.findOne({ _id: req.params.commentId, task: req.task._id });
+};
+
+const sendCommentNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Comment not found'
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments:
+ *   get:
+ *     summary: Get the comments on a task
+ *     tags: [Comments]
+ *     description: Top-level comments oldest first, with their replies nested under `replies`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const comments = await Comment.find({ task: req.task._id })
+      .populate('author', 'name email')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        comments: buildThreads(comments),
+        total: comments.filter(comment => !comment.deletedAt).length
+      }
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments:
+ *   post:
+ *     summary: Comment on a task or reply to a comment
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *               parentId:
+ *                 type: string
+ *                 description: ID of the comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ *       400:
+ *         description: Validation error or invalid parent comment
+ *       404:
+ *         description: Task not found
+ */
+router.post('/', requireScope('tasks:write'), requireVerifiedEmail, validateComment, async (req, res) => {
+  try {
+    const { body, parentId } = req.body;
+
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, task: req.task._id });
+      if (!parent || parent.deletedAt) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The comment you are replying to does not exist'
+        });
+      }
+    }
+
+    const comment = await Comment.create({
+      task: req.task._id,
+      author: req.user._id,
+      parent: parentId || null,
+      body
+    });
+    await comment.populate('author', 'name email');
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Create comment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     tags: [Comments]
+ *     description: Only the author can edit a comment. Edited comments get an `editedAt` timestamp.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Task or comment not found
+ */
+router.put('/:commentId', requireScope('tasks:write'), requireVerifiedEmail, validateCommentUpdate, async (req, res) => {
+  try {
+    const comment = await findComment(req);
+
+    if (!comment || comment.deletedAt) {
+      return sendCommentNotFound(res);
+    }
+
+    if (!comment.author.equals(req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only edit your own comments'
+      });
+    }
+
+    comment.body = req.body.body;
+    comment.editedAt = new Date();
+    await comment.save();
+    await comment.populate('author', 'name email');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Comment updated successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     tags: [Comments]
+ *     description: Authors can delete their own comments and admins any comment. A comment with replies is blanked and marked deleted so the thread stays intact.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     responses:
+ *       200:
+ *         description: Comment deleted successfully
+ *       403:
+ *         description: Not the author of the comment
+ *       404:
+ *         description: Task or comment not found
+ */
+router.delete('/:commentId', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const comment = await findComment(req);
+
+    if (!comment || comment.deletedAt) {
+      return sendCommentNotFound(res);
+    }
+
+    if (!comment.author.equals(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'You can only delete your own comments'
+      });
+    }
+
+    if (await Comment.exists({ parent: comment._id })) {
+      comment.body = '';
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+
+      // Remove deleted ancestors that no longer have any replies
+      let parentId = comment.parent;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (!parent || !parent.deletedAt || await Comment.exists({ parent: parent._id })) break;
+        await parent.deleteOne();
+        parentId = parent.parent;
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Comment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
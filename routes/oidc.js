@@ -0,0 +1,261 @@
+const express = require('express');
+const User = require('../models/User');
+const OidcState = require('../models/OidcState');
+const {
+  createSession,
+  revokeAccessTokens,
+  unverifiedAccountMode,
+  twoFactorSetupRequired,
+  generateChallengeToken
+} = require('../middleware/auth');
+const { frontendUrl } = require('../utils/mailer');
+const {
+  config,
+  isEnabled,
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  mapRole
+} = require('../utils/oidc');
+
+const router = express.Router();
+
+const STATE_TTL_MINUTES = 10;
+
+// Cookie tying a login to the browser that started it, so an attacker cannot
+// complete their own login in someone else's browser (login CSRF)
+const STATE_COOKIE = 'oidc_state';
+
+const readCookie = (req, name) => {
+  for (const pair of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = pair.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return undefined;
+};
+
+// Find the user linked to the external identity, link an existing account
+// with the same verified email, or create a new account
+const findOrCreateSsoUser = async (claims) => {
+  const provider = config().issuer;
+  const email = claims.email && claims.email.toLowerCase();
+
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider, subject: claims.sub } }
+  });
+
+  if (!user && email) {
+    const existingUser = await User.findOne({ email });
+
+    // Only link when the IdP vouches for the address, or anyone could take over the
+    // account, and when the account has proven it too, or whoever registered the
+    // address first without owning it would share the account with its owner
+    if (existingUser && (claims.email_verified !== true || !existingUser.emailVerified)) {
+      return null;
+    }
+
+    if (existingUser) {
+      user = existingUser;
+      user.identities.push({ provider, subject: claims.sub });
+    }
+  }
+
+  if (!user) {
+    if (!email || process.env.OIDC_AUTO_CREATE === 'false') {
+      return null;
+    }
+
+    user = new User({
+      name: (claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 50),
+      email,
+      emailVerified: claims.email_verified === true,
+      identities: [{ provider, subject: claims.sub }]
+    });
+  }
+
+  // The IdP vouching for the address verifies it, as the emailed link would
+  if (claims.email_verified === true && user.email === email) {
+    user.emailVerified = true;
+  }
+
+  // Keep the role in sync with IdP groups when a mapping is configured
+  const role = mapRole(claims);
+  const roleChanged = Boolean(role) && !user.isNew && user.role !== role;
+  if (role) {
+    user.role = role;
+  }
+
+  await user.save();
+
+  // A new role ends every session through tokenVersion; access tokens are revoked too
+  if (roleChanged) {
+    await revokeAccessTokens(user._id);
+  }
+
+  return user;
+};
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/config:
+ *   get:
+ *     summary: Get single sign-on availability
+ *     tags: [Single Sign-On]
+ *     responses:
+ *       200:
+ *         description: Whether SSO is configured, with the provider name and login URL
+ */
+router.get('/config', (req, res) => {
+  const { providerName, redirectUri } = config();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled: isEnabled(),
+      providerName,
+      loginUrl: isEnabled() ? new URL('/api/v1/auth/oidc/login', redirectUri).toString() : null
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/login:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     tags: [Single Sign-On]
+ *     description: Redirects the browser to the identity provider (authorization code flow with PKCE).
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/login', async (req, res) => {
+  try {
+    if (!isEnabled()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const authRequest = createAuthRequest();
+
+    await OidcState.create({
+      state: authRequest.state,
+      nonce: authRequest.nonce,
+      codeVerifier: authRequest.codeVerifier,
+      expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000)
+    });
+
+    // Lax, since the identity provider sends the browser back with a cross-site redirect
+    res.cookie(STATE_COOKIE, authRequest.state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      path: req.baseUrl,
+      maxAge: STATE_TTL_MINUTES * 60 * 1000
+    });
+
+    res.redirect(await buildAuthorizationUrl(authRequest));
+  } catch (error) {
+    console.error('OIDC login error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error during single sign-on'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/callback:
+ *   get:
+ *     summary: Complete a single sign-on login
+ *     tags: [Single Sign-On]
+ *     description: |
+ *       The identity provider redirects here, in the browser that started the login (checked with the
+ *       state cookie set by /login). On success the browser is sent to the frontend with the access and
+ *       refresh tokens in the URL fragment, or with a 2FA challenge token when two-factor authentication
+ *       is enabled. On failure, or for an unverified account when those are blocked, it is sent to the
+ *       login page with an error.
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the frontend
+ */
+router.get('/callback', async (req, res) => {
+  const fail = (message) => res.redirect(frontendUrl('/login', { error: message }));
+
+  try {
+    if (!isEnabled()) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Single sign-on is not configured'
+      });
+    }
+
+    const { code, state, error } = req.query;
+    const expectedState = readCookie(req, STATE_COOKIE);
+    res.clearCookie(STATE_COOKIE, { path: req.baseUrl });
+
+    if (error) {
+      return fail('Single sign-on was cancelled or denied');
+    }
+
+    if (typeof code !== 'string' || typeof state !== 'string') {
+      return fail('Single sign-on failed');
+    }
+
+    if (!expectedState || expectedState !== state) {
+      return fail('Single sign-on failed. Please start the login again from this browser.');
+    }
+
+    // Each state can only complete one login
+    const pending = await OidcState.findOneAndDelete({ state, expiresAt: { $gt: new Date() } });
+    if (!pending) {
+      return fail('Single sign-on session expired. Please try again.');
+    }
+
+    const claims = await exchangeCode(code, pending.codeVerifier, pending.nonce);
+    const user = await findOrCreateSsoUser(claims);
+
+    if (!user) {
+      return fail('No account could be linked to this identity');
+    }
+
+    // The same checks as a password login
+    if (!user.emailVerified && unverifiedAccountMode() === 'blocked') {
+      return fail('Please verify your email address before logging in');
+    }
+
+    let params;
+    if (user.twoFactorEnabled) {
+      params = { challengeToken: generateChallengeToken(user) };
+    } else {
+      params = await createSession(user, req.ip);
+      if (twoFactorSetupRequired(user)) {
+        params.twoFactorSetupRequired = 'true';
+      }
+    }
+
+    // Tokens travel in the fragment, which browsers never send to servers
+    const redirect = new URL(frontendUrl('/oidc/callback'));
+    redirect.hash = new URLSearchParams(params).toString();
+    res.redirect(redirect.toString());
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    fail('Single sign-on failed');
+  }
+});
+
+module.exports = router;
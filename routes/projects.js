@@ -0,0 +1,446 @@
+const express = require('express');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { protect, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { validateProject, validateProjectUpdate } = require('../middleware/validation');
+const { listTasks } = require('./tasks');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Project names are unique per user regardless of case
+const sendDuplicateName = (res) => res.status(400).json({
+  status: 'error',
+  message: 'You already have a project with this name'
+});
+
+const sendNotFound = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Project not found'
+});
+
+// Counts of the grouped values, with zero for each key that has none
+const countsOf = (groups, keys) => Object.fromEntries(
+  keys.map(key => [key, groups.find(group => group._id === key)?.count || 0])
+);
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   get:
+ *     summary: Get the current user's projects with task counts
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false', all]
+ *           default: 'false'
+ *         description: Active projects (false), archived ones (true) or both (all)
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully, each with its taskCount and completedCount
+ *       400:
+ *         description: Invalid archived value
+ */
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const { archived = 'false' } = req.query;
+    if (!['true', 'false', 'all'].includes(archived)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'archived must be true, false or all'
+      });
+    }
+
+    const query = { owner: req.user._id };
+    if (archived !== 'all') {
+      query.archived = archived === 'true';
+    }
+
+    const projects = await Project.find(query)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+
+    const counts = await Task.aggregate([
+      { $match: { project: { $in: projects.map(project => project._id) } } },
+      {
+        $group: {
+          _id: '$project',
+          count: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'completed'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const countById = new Map(counts.map(count => [count._id.toString(), count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        projects: projects.map(project => ({
+          ...project.toObject(),
+          taskCount: countById.get(project._id.toString())?.count || 0,
+          completedCount: countById.get(project._id.toString())?.completed || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get projects error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects:
+ *   post:
+ *     summary: Create a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#6610f2'
+ *     responses:
+ *       201:
+ *         description: Project created successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.post('/', requireScope('tasks:write'), requireVerifiedEmail, validateProject, async (req, res) => {
+  try {
+    const project = await Project.create({
+      name: req.body.name,
+      description: req.body.description,
+      color: req.body.color,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Project created successfully',
+      data: { project }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+    console.error('Create project error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   get:
+ *     summary: Get a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project retrieved successfully
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: { project }
+    });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/tasks:
+ *   get:
+ *     summary: Get the tasks of a project
+ *     tags: [Projects]
+ *     description: |
+ *       Takes the same filter, sort, paging and fieldset parameters as GET /api/v1/tasks,
+ *       limited to the tasks of the project. Archived projects keep listing their tasks.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Tasks retrieved successfully
+ *       400:
+ *         description: Unknown parameter or an invalid filter, sort, page, limit or cursor
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/tasks', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const project = await Project.exists({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return sendNotFound(res);
+    }
+
+    await listTasks(req, res, { ...req.query, project: req.params.id });
+  } catch (error) {
+    console.error('Get project tasks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/stats:
+ *   get:
+ *     summary: Get task statistics for a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     stats:
+ *                       $ref: '#/components/schemas/ProjectStats'
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/stats', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return sendNotFound(res);
+    }
+
+    const [groups] = await Task.aggregate([
+      { $match: { project: project._id } },
+      {
+        $facet: {
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }],
+          overdue: [
+            { $match: { dueDate: { $lt: new Date() }, status: { $ne: 'completed' } } },
+            { $count: 'count' }
+          ]
+        }
+      }
+    ]);
+
+    const byStatus = countsOf(groups.byStatus, ['pending', 'in-progress', 'completed']);
+    const total = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        stats: {
+          total,
+          byStatus,
+          byPriority: countsOf(groups.byPriority, Object.keys(Task.PRIORITY_RANKS)),
+          overdue: groups.overdue[0]?.count || 0,
+          completionRate: total > 0 ? Math.round((byStatus.completed / total) * 100) : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get project stats error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   put:
+ *     summary: Update, archive or unarchive a project
+ *     tags: [Projects]
+ *     description: |
+ *       Archiving keeps the project and its tasks, which stay readable and editable, but new
+ *       tasks cannot be added to it, its recurring series create no new occurrences until it is
+ *       restored, and it is left out of the default project list.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               archived:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Project updated successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Project not found
+ */
+router.put('/:id', requireScope('tasks:write'), requireVerifiedEmail, validateProjectUpdate, async (req, res) => {
+  try {
+    const project = await Project.findOne({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return sendNotFound(res);
+    }
+
+    // Saved rather than updated in place so archivedAt follows archived
+    project.set(req.body);
+    await project.save();
+
+    let message = 'Project updated successfully';
+    if (req.body.archived !== undefined && Object.keys(req.body).length === 1) {
+      message = req.body.archived ? 'Project archived successfully' : 'Project restored successfully';
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message,
+      data: { project }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+    console.error('Update project error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}:
+ *   delete:
+ *     summary: Delete a project
+ *     tags: [Projects]
+ *     description: The project's tasks are kept, outside any project. Archive the project instead to keep them grouped.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project deleted successfully
+ *       404:
+ *         description: Project not found
+ */
+router.delete('/:id', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const project = await Project.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!project) {
+      return sendNotFound(res);
+    }
+
+    // Trashed tasks too, so a restored task does not point to a deleted project
+    await Task.updateMany({ project: project._id }, { project: null, $inc: { version: 1 } }).setOptions({ withTrashed: true });
+    await TaskSeries.updateMany({ 'template.project': project._id }, { 'template.project': null });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { protect, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { validateTag, validateTagUpdate } = require('../middleware/validation');
+
+const router = express.Router();
+
+// All routes are protected
+router.use(protect);
+
+// Tag names are unique per user regardless of case
+const sendDuplicateName = (res) => res.status(400).json({
+  status: 'error',
+  message: 'You already have a tag with this name'
+});
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   get:
+ *     summary: Get the current user's tags with usage counts
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags retrieved successfully, each with its taskCount
+ */
+router.get('/', requireScope('tasks:read'), async (req, res) => {
+  try {
+    const tags = await Tag.find({ owner: req.user._id })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ name: 1 });
+
+    const counts = await Task.aggregate([
+      { $match: { tags: { $in: tags.map(tag => tag._id) } } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ]);
+    const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tags: tags.map(tag => ({
+          ...tag.toObject(),
+          taskCount: countById.get(tag._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tags:
+ *   post:
+ *     summary: Create a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#0d6efd'
+ *     responses:
+ *       201:
+ *         description: Tag created successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ */
+router.post('/', requireScope('tasks:write'), requireVerifiedEmail, validateTag, async (req, res) => {
+  try {
+    const tag = await Tag.create({
+      name: req.body.name,
+      color: req.body.color,
+      owner: req.user._id
+    });
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Tag created successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   put:
+ *     summary: Rename or recolor a tag
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tag updated successfully
+ *       400:
+ *         description: Validation error or duplicate name
+ *       404:
+ *         description: Tag not found
+ */
+router.put('/:id', requireScope('tasks:write'), requireVerifiedEmail, validateTagUpdate, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndUpdate(
+      { _id: req.params.id, owner: req.user._id },
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!tag) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tag updated successfully',
+      data: { tag }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tags/{id}:
+ *   delete:
+ *     summary: Delete a tag
+ *     tags: [Tags]
+ *     description: The tag is removed from every task that uses it. The tasks themselves are kept.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag ID
+ *     responses:
+ *       200:
+ *         description: Tag deleted successfully
+ *       404:
+ *         description: Tag not found
+ */
+router.delete('/:id', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({ _id: req.params.id, owner: req.user._id });
+
+    if (!tag) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Tag not found'
+      });
+    }
+
+    // Trashed tasks too, so a restored task does not point to a deleted tag
+    await Task.updateMany({ tags: tag._id }, { $pull: { tags: tag._id }, $inc: { version: 1 } }).setOptions({ withTrashed: true });
+    // And from the templates of recurring series, so future occurrences do not get it
+    await TaskSeries.updateMany({ 'template.tags': tag._id }, { $pull: { 'template.tags': tag._id } });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
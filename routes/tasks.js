@@ -1,91 +1,691 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
-const { protect, restrictTo } = require('../middleware/auth');
-const { validateTask, validateTaskUpdate } = require('../middleware/validation');
+const Tag = require('../models/Tag');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const TaskSeries = require('../models/TaskSeries');
+const TaskHistory = require('../models/TaskHistory');
+const { protect, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { accessQuery, hasAccess, loadTask, sendPreconditionFailed } = require('../middleware/taskAccess');
+const { validateTask, validateTaskUpdate, validateBulkTasks } = require('../middleware/validation');
+const { parseQuery, buildSearch, highlight } = require('../utils/search');
+const { etagFor, matchesIfMatch, matchesIfNoneMatch, versionsIn } = require('../utils/etag');
+const { parsePagination, stableSort, pageQuery, pageResult, setLinkHeader } = require('../utils/pagination');
+const { parseFieldFilter, parseBoolean, parseDate, parseSort, unknownParameter } = require('../utils/query');
+const { parseFieldset, pickFields } = require('../utils/fieldsets');
+const checklistRoutes = require('./checklist');
+const commentRoutes = require('./comments');
+const attachmentRoutes = require('./attachments');
 
 const router = express.Router();
 
 // All routes are protected
 router.use(protect);
 
+router.use('/:id/checklist', checklistRoutes);
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/attachments', attachmentRoutes);
+
+// Parse the tags filter, given as a comma-separated list or repeated parameter; null if an ID is invalid
+const parseTagFilter = (tags) => {
+  const ids = [].concat(tags).join(',').split(',').map(id => id.trim()).filter(Boolean);
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+  return ids.map(id => new mongoose.Types.ObjectId(id));
+};
+
+// Tasks can only carry tags that belong to the task's owner
+const tagsBelongTo = async (tagIds, ownerId) => {
+  if (!tagIds || tagIds.length === 0) return true;
+  const count = await Tag.countDocuments({ _id: { $in: tagIds }, owner: ownerId });
+  return count === tagIds.length;
+};
+
+const sendInvalidTags = (res) => res.status(400).json({
+  status: 'error',
+  message: 'One or more tags do not exist'
+});
+
+// Tasks can only be put in an active project of the task's owner
+const projectAvailable = async (projectId, ownerId) => {
+  if (!projectId) return true;
+  return Boolean(await Project.exists({ _id: projectId, owner: ownerId, archived: false }));
+};
+
+const sendInvalidProject = (res) => res.status(400).json({
+  status: 'error',
+  message: 'The project does not exist or is archived'
+});
+
+// Resolve a user filter: "me", a user ID, or "none" where allowed; undefined if invalid
+const parseUserFilter = (value, user, allowNone = false) => {
+  if (value === 'me') return user._id;
+  if (value === 'none' && allowNone) return null;
+  if (typeof value === 'string' && mongoose.Types.ObjectId.isValid(value)) {
+    return new mongoose.Types.ObjectId(value);
+  }
+  return undefined;
+};
+
+// Assignees and watchers must be existing users
+const usersExist = async ({ assignee, watchers = [] }) => {
+  const ids = [...new Set([assignee, ...watchers].filter(Boolean).map(String))];
+  if (ids.length === 0) return true;
+  const count = await User.countDocuments({ _id: { $in: ids } });
+  return count === ids.length;
+};
+
+const sendInvalidUsers = (res) => res.status(400).json({
+  status: 'error',
+  message: 'Assignee and watchers must be existing users'
+});
+
+// Fields the task list can filter on with operators, and the fields it can sort by
+const FIELD_FILTERS = {
+  status: { type: 'enum', values: ['pending', 'in-progress', 'completed'] },
+  priority: { type: 'enum', values: Object.keys(Task.PRIORITY_RANKS) },
+  dueDate: { type: 'date' },
+  createdAt: { type: 'date' },
+  updatedAt: { type: 'date' }
+};
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  dueDate: 'dueDate',
+  priority: 'priorityRank',
+  title: 'title'
+};
+
+// Every query parameter the task list accepts
+const LIST_PARAMETERS = [
+  ...Object.keys(FIELD_FILTERS),
+  'assignedTo', 'createdBy', 'tags', 'tagMode', 'project', 'q',
+  'overdue', 'hasDueDate', 'updatedSince',
+  'sort', 'page', 'limit', 'after', 'before', 'includeTotal',
+  'fields', 'include'
+];
+
+// Fields clients can ask for with ?fields=, and relations they can populate with ?include=
+const TASK_FIELDSET = {
+  allowed: Object.keys(Task.schema.paths).filter(path => !['_id', '__v', 'deletedAt', 'deletedBy'].includes(path)),
+  relations: Object.fromEntries(Task.POPULATE.map(relation => [relation.path, relation]))
+};
+
+// Projection for the requested fields plus the ones the server needs; null for every field
+const projectionFor = (fields, required) => (
+  fields ? Object.fromEntries([...fields, ...required].map(field => [field, 1])) : null
+);
+
+// Conditions for the task list filters (see FIELD_FILTERS, plus assignedTo, createdBy, tags,
+// tagMode, project, q, overdue, hasDueDate and updatedSince), limited to tasks the user can see.
+// Returns { error } for invalid values.
+const buildTaskFilter = (params, user) => {
+  const {
+    assignedTo,
+    createdBy,
+    tags,
+    tagMode = 'any',
+    project,
+    q,
+    overdue,
+    hasDueDate,
+    updatedSince
+  } = params;
+
+  // Users can only see tasks they created, are assigned to or watch; admins can see all
+  const query = { ...accessQuery(user) };
+  const clauses = [];
+
+  for (const [field, spec] of Object.entries(FIELD_FILTERS)) {
+    if (params[field] === undefined || params[field] === '') continue;
+
+    const { condition, error } = parseFieldFilter(field, params[field], spec);
+    if (error) return { error };
+    clauses.push({ [field]: condition });
+  }
+
+  if (overdue !== undefined) {
+    const value = parseBoolean(overdue);
+    if (value === undefined) return { error: 'overdue must be true or false' };
+
+    // Overdue tasks are open tasks due before now
+    const now = new Date();
+    clauses.push(value
+      ? { dueDate: { $lt: now }, status: { $ne: 'completed' } }
+      : { $or: [{ dueDate: null }, { dueDate: { $gte: now } }, { status: 'completed' }] });
+  }
+
+  if (hasDueDate !== undefined) {
+    const value = parseBoolean(hasDueDate);
+    if (value === undefined) return { error: 'hasDueDate must be true or false' };
+    clauses.push({ dueDate: value ? { $ne: null } : null });
+  }
+
+  if (updatedSince !== undefined) {
+    const since = typeof updatedSince === 'string' ? parseDate(updatedSince) : null;
+    if (!since) return { error: 'updatedSince must be a date' };
+    clauses.push({ updatedAt: { $gte: since } });
+  }
+
+  if (assignedTo) {
+    query.assignee = parseUserFilter(assignedTo, user, true);
+  }
+  if (createdBy) {
+    query.createdBy = parseUserFilter(createdBy, user);
+  }
+  if ((assignedTo && query.assignee === undefined) || (createdBy && query.createdBy === undefined)) {
+    return { error: 'assignedTo and createdBy must be "me" or a user ID' };
+  }
+
+  if (tags) {
+    const tagIds = parseTagFilter(tags);
+    if (!tagIds || !['any', 'all'].includes(tagMode)) {
+      return { error: 'tags must be a comma-separated list of tag IDs and tagMode either any or all' };
+    }
+    query.tags = tagMode === 'all' ? { $all: tagIds } : { $in: tagIds };
+  }
+
+  if (project) {
+    if (project === 'none') {
+      query.project = null;
+    } else if (typeof project === 'string' && mongoose.Types.ObjectId.isValid(project)) {
+      query.project = new mongoose.Types.ObjectId(project);
+    } else {
+      return { error: 'project must be a project ID or "none"' };
+    }
+  }
+
+  const search = typeof q === 'string' && q.trim() ? parseQuery(q) : null;
+  const { conditions, score } = search ? buildSearch(search) : {};
+  // Prefix terms come as an $and of their own, which must not replace the filter clauses
+  const { $and: searchClauses = [], ...searchConditions } = conditions || {};
+  Object.assign(query, searchConditions);
+  clauses.push(...searchClauses);
+
+  if (clauses.length > 0) {
+    query.$and = clauses;
+  }
+
+  return { query, search, score };
+};
+
+// Most tasks a single bulk request can act on
+const MAX_BULK_TASKS = 100;
+
+// Apply bulk changes to one task, saving it so history, checklist and series hooks run
+const bulkUpdateTask = async (task, changes, tags, user) => {
+  if (!hasAccess(task, user, 'write')) {
+    return { status: 'error', message: 'Only the task owner or assignee can change this task' };
+  }
+
+  const { addTags, removeTags, ...fields } = changes;
+  const tagIds = [...(fields.tags || []), ...(addTags || [])];
+  if (!tagIds.every(tagId => tags.some(tag => tag._id.equals(tagId) && tag.owner.equals(task.createdBy)))) {
+    return { status: 'error', message: 'One or more tags do not exist' };
+  }
+
+  task.set(fields);
+  if (addTags) task.tags.addToSet(...addTags);
+  if (removeTags) task.tags.pull(...removeTags);
+  task.$locals.actor = user._id;
+
+  try {
+    await task.save();
+  } catch (error) {
+    if (error.name === 'DocumentNotFoundError') {
+      return { status: 'error', message: 'The task was changed by someone else at the same time' };
+    }
+    if (error.name !== 'ValidationError') throw error;
+    return { status: 'error', message: error.message };
+  }
+  return { status: 'success' };
+};
+
+const sendInvalidScope = (res) => res.status(400).json({
+  status: 'error',
+  message: 'scope must be either occurrence or series'
+});
+
+const sendNotInTrash = (res) => res.status(404).json({
+  status: 'error',
+  message: 'Task not found in the trash'
+});
+
+// When a trashed task will be purged automatically
+const purgeDate = (task) => new Date(task.deletedAt.getTime() + Task.TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// Respond with a page of the tasks matching the list parameters. Shared by the task list
+// and the task lists of projects.
+const listTasks = async (req, res, params) => {
+  try {
+    const unknown = unknownParameter(params, LIST_PARAMETERS);
+    if (unknown) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Unknown query parameter: ${unknown}`
+      });
+    }
+
+    const { query, search, score, error } = buildTaskFilter(params, req.user);
+    const pagination = parsePagination(params);
+    const fieldset = parseFieldset(params, TASK_FIELDSET);
+
+    // Without a sort, best matches first when searching and newest first otherwise
+    const requested = params.sort !== undefined ? parseSort(params.sort, SORT_FIELDS) : {};
+    const sort = requested.sort
+      ? stableSort(requested.sort)
+      : stableSort(search ? { score: -1, createdAt: -1 } : { createdAt: -1 });
+    const page = pagination.error ? null : pageQuery(pagination, sort);
+
+    const invalid = error || requested.error || fieldset.error || pagination.error || page.error;
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
+    }
+
+    let rows;
+    if (search) {
+      // Highlights need the title and description, even when they are not returned
+      const projection = projectionFor(fieldset.fields, [...Object.keys(sort), 'title', 'description']);
+      rows = await Task.aggregate([
+        { $match: query },
+        { $addFields: { score } },
+        ...(page.conditions ? [{ $match: page.conditions }] : []),
+        { $sort: page.sort },
+        { $skip: page.skip },
+        { $limit: page.limit },
+        ...(projection ? [{ $project: projection }] : [])
+      ]);
+      await Task.populate(rows, fieldset.populate);
+    } else {
+      // Sort fields are always loaded, for the page cursors
+      rows = await Task.find(page.conditions ? { $and: [query, page.conditions] } : query)
+        .select(projectionFor(fieldset.fields, Object.keys(sort)))
+        .populate(fieldset.populate)
+        .sort(page.sort)
+        .skip(page.skip)
+        .limit(page.limit);
+    }
+
+    const total = pagination.includeTotal ? await Task.countDocuments(query) : undefined;
+    const result = pageResult(rows, pagination, sort, total);
+    const tasks = search
+      ? result.items.map(task => pickFields({ ...task, highlights: highlight(task, search) }, fieldset.fields, ['highlights']))
+      : result.items.map(task => pickFields(task, fieldset.fields));
+
+    setLinkHeader(req, res, result.pagination);
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tasks,
+        pagination: result.pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/v1/tasks:
  *   get:
  *     summary: Get all tasks
  *     tags: [Tasks]
+ *     description: |
+ *       Users get the tasks they created, are assigned to or watch. Admins get every task.
+ *
+ *       status and priority take a value, several values (`status=pending&status=in-progress`)
+ *       or an operator: `status[in]=pending,in-progress`, `[nin]`, `[ne]` or `[eq]`.
+ *       dueDate, createdAt and updatedAt take range operators: `dueDate[gte]=2024-01-01&dueDate[lt]=2024-02-01`
+ *       with `[gt]`, `[gte]`, `[lt]` and `[lte]`. Unknown parameters and operators are rejected.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: status
+ *         style: deepObject
  *         schema:
  *           type: string
  *           enum: [pending, in-progress, completed]
- *         description: Filter by task status
+ *         description: Filter by task status, with eq, ne, in and nin
  *       - in: query
  *         name: priority
+ *         style: deepObject
  *         schema:
  *           type: string
  *           enum: [low, medium, high]
- *         description: Filter by task priority
+ *         description: Filter by task priority, with eq, ne, in and nin
+ *       - in: query
+ *         name: dueDate
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *           properties:
+ *             gt:
+ *               type: string
+ *               format: date-time
+ *             gte:
+ *               type: string
+ *               format: date-time
+ *             lt:
+ *               type: string
+ *               format: date-time
+ *             lte:
+ *               type: string
+ *               format: date-time
+ *         description: Due date range, e.g. dueDate[gte]=2024-01-01
+ *       - in: query
+ *         name: createdAt
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *         description: Creation date range, with the same operators as dueDate
+ *       - in: query
+ *         name: updatedAt
+ *         style: deepObject
+ *         schema:
+ *           type: object
+ *         description: Last change date range, with the same operators as dueDate
+ *       - in: query
+ *         name: updatedSince
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Tasks changed at or after this date
+ *       - in: query
+ *         name: overdue
+ *         schema:
+ *           type: boolean
+ *         description: true for open tasks due before now, false for every other task
+ *       - in: query
+ *         name: hasDueDate
+ *         schema:
+ *           type: boolean
+ *         description: Tasks with (true) or without (false) a due date
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: Filter by assignee - "me", a user ID or "none"
+ *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *         description: Filter by creator - "me" or a user ID
+ *       - in: query
+ *         name: tags
+ *         schema:
+ *           type: string
+ *         description: Comma-separated tag IDs to filter by
+ *       - in: query
+ *         name: tagMode
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Match tasks with any of the tags, or with all of them
+ *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Filter by project - a project ID or "none" for tasks outside any project
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 200
+ *         description: |
+ *           Full-text search on title and description. Results are sorted by relevance and
+ *           each task gets `highlights` with the matching parts of its title and description.
+ *           Use `"quotes"` for an exact phrase, `word*` for a prefix and `-word` to exclude.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: -priority,dueDate
+ *         description: |
+ *           Comma-separated fields to sort by, - for descending: createdAt, updatedAt, dueDate,
+ *           priority (low < medium < high) and title. Tasks without a due date come first
+ *           when sorting by dueDate ascending. Defaults to -createdAt, or to relevance when searching.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: title,status,dueDate
+ *         description: |
+ *           Comma-separated task fields to return; _id is always included. Any field of the
+ *           Task schema except deletedAt and deletedBy.
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           example: createdBy
+ *         description: |
+ *           Comma-separated relations to populate: createdBy, assignee, watchers, tags, project and series.
+ *           The others are returned as IDs; an empty value populates none. Without include, every
+ *           relation is populated, or with fields, every relation among the fields.
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           minimum: 1
- *         description: Page number for pagination
+ *         description: Page number, for offset paging; use after/before for deep or changing lists
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.nextCursor; returns the tasks after it
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.prevCursor; returns the tasks before it
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
  *           maximum: 100
- *         description: Number of tasks per page
+ *           default: 10
+ *         description: Number of tasks per page; larger values are lowered to 100
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the matching tasks (pagination.total and pages). Defaults to true with page numbers and false with cursors.
  *     responses:
  *       200:
  *         description: Tasks retrieved successfully
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, previous and next pages (rel="first", "prev", "next")
+ *       400:
+ *         description: Unknown parameter or operator, or an invalid filter, sort, page, limit or cursor
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('tasks:read'), (req, res) => listTasks(req, res, req.query));
+
+/**
+ * @swagger
+ * /api/v1/tasks/trash:
+ *   get:
+ *     summary: List the tasks in the trash
+ *     tags: [Trash]
+ *     description: |
+ *       Users get the tasks they deleted from their own; admins get every trashed task.
+ *       Most recently deleted first, each with the date it will be purged.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number (offset paging); cannot be combined with after or before
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.nextCursor; returns the tasks after it
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.prevCursor; returns the tasks before it
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of tasks per page; larger values are lowered to 100
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the trashed tasks (pagination.total and pages). Defaults to true with page numbers and false with cursors.
+ *     responses:
+ *       200:
+ *         description: Trashed tasks retrieved successfully
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, previous and next pages (rel="first", "prev", "next")
+ *       400:
+ *         description: Invalid page, limit or cursor
+ */
+router.get('/trash', requireScope('tasks:read'), async (req, res) => {
   try {
-    const { status, priority, page = 1, limit = 10 } = req.query;
-    
-    // Build query
-    let query = {};
-    
-    // Users can only see their own tasks, admins can see all
-    if (req.user.role !== 'admin') {
-      query.createdBy = req.user._id;
+    const pagination = parsePagination(req.query);
+    const sort = stableSort({ deletedAt: -1 });
+    const page = pagination.error ? null : pageQuery(pagination, sort);
+
+    const invalid = pagination.error || page.error;
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
     }
-    
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
 
-    // Pagination
-    const skip = (page - 1) * limit;
-    
-    const tasks = await Task.find(query)
-      .populate('createdBy', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    // deletedAt stays a top-level condition, which is what lets trashed tasks through
+    const query = { deletedAt: { $ne: null }, ...accessQuery(req.user, 'owner') };
+    const rows = await Task.find(page.conditions ? { ...query, $and: [page.conditions] } : query)
+      .populate(Task.POPULATE)
+      .populate('deletedBy', 'name email')
+      .sort(page.sort)
+      .skip(page.skip)
+      .limit(page.limit);
 
-    const total = await Task.countDocuments(query);
+    const total = pagination.includeTotal ? await Task.countDocuments(query) : undefined;
+    const { items: tasks, pagination: info } = pageResult(rows, pagination, sort, total);
 
+    setLinkHeader(req, res, info);
     res.status(200).json({
       status: 'success',
       data: {
-        tasks,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        tasks: tasks.map(task => ({ ...task.toJSON(), purgeAt: purgeDate(task) })),
+        retentionDays: Task.TRASH_RETENTION_DAYS,
+        pagination: info
       }
     });
   } catch (error) {
-    console.error('Get tasks error:', error);
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/trash:
+ *   delete:
+ *     summary: Empty the trash
+ *     tags: [Trash]
+ *     description: Permanently deletes every task in your trash (every trashed task for admins), with its comments and files.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Trash emptied
+ *       403:
+ *         description: Email address not verified
+ */
+router.delete('/trash', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const purged = await Task.purge(accessQuery(req.user, 'owner'));
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Trash emptied successfully',
+      data: { purged }
+    });
+  } catch (error) {
+    console.error('Empty trash error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/tasks/trash/{id}:
+ *   delete:
+ *     summary: Permanently delete a task from the trash
+ *     tags: [Trash]
+ *     description: Deletes the task with its comments and files. This cannot be undone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task permanently deleted
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Task not found in the trash
+ */
+router.delete('/trash/:id', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return sendNotInTrash(res);
+    }
+
+    const purged = await Task.purge({ _id: req.params.id, ...accessQuery(req.user, 'owner') });
+
+    if (purged === 0) {
+      return sendNotInTrash(res);
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Task permanently deleted'
+    });
+  } catch (error) {
+    console.error('Purge task error:', error);
     res.status(500).json({
       status: 'error',
       message: 'Server error'
@@ -99,6 +699,10 @@ router.get('/', async (req, res) => {
  *   get:
  *     summary: Get a specific task
  *     tags: [Tasks]
+ *     description: |
+ *       The response has an ETag built from the task version. Send it back in If-Match to
+ *       update or delete only that version, or in If-None-Match to skip an unchanged task.
+ *       The version covers the task's own fields, not the names of its users and tags.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -108,22 +712,60 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Task ID
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *           example: title,status,dueDate
+ *         description: |
+ *           Comma-separated task fields to return; _id is always included. Any field of the
+ *           Task schema except deletedAt and deletedBy.
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           example: createdBy
+ *         description: |
+ *           Comma-separated relations to populate: createdBy, assignee, watchers, tags, project and series.
+ *           The others are returned as IDs; an empty value populates none. Without include, every
+ *           relation is populated, or with fields, every relation among the fields.
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag of the copy the client has
  *     responses:
  *       200:
  *         description: Task retrieved successfully
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *             description: Version of the task, e.g. "3"
+ *       304:
+ *         description: The task still matches the ETag in If-None-Match
+ *       400:
+ *         description: Unknown field or relation in fields or include
  *       404:
  *         description: Task not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('tasks:read'), async (req, res) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Users can only see their own tasks
-    if (req.user.role !== 'admin') {
-      query.createdBy = req.user._id;
+    const fieldset = parseFieldset(req.query, TASK_FIELDSET);
+    if (fieldset.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: fieldset.error
+      });
     }
 
-    const task = await Task.findOne(query).populate('createdBy', 'name email');
+    // Users can only see tasks they created, are assigned to or watch
+    let query = { _id: req.params.id, ...accessQuery(req.user) };
+
+    // The version is always loaded, for the ETag
+    const task = await Task.findOne(query)
+      .select(projectionFor(fieldset.fields, ['version']))
+      .populate(fieldset.populate);
     
     if (!task) {
       return res.status(404).json({
@@ -132,9 +774,18 @@ router.get('/:id', async (req, res) => {
       });
     }
 
+    // Clients may cache the task, but must revalidate it with If-None-Match
+    const etag = etagFor(task);
+    res.set({ ETag: etag, 'Cache-Control': 'private, no-cache' });
+
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, etag)) {
+      return res.status(304).end();
+    }
+
     res.status(200).json({
       status: 'success',
-      data: { task }
+      data: { task: pickFields(task, fieldset.fields) }
     });
   } catch (error) {
     console.error('Get task error:', error);
@@ -145,6 +796,129 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/history:
+ *   get:
+ *     summary: Get the change history of a task
+ *     tags: [Tasks]
+ *     description: |
+ *       Every create, update, delete and restore of the task, newest first, with the
+ *       user who made it and the changed fields. `references` maps the user, tag and project
+ *       IDs found in the changes to their names.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: History retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/TaskHistory'
+ *                     references:
+ *                       type: object
+ *                       properties:
+ *                         users:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: object
+ *                         tags:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: object
+ *                         projects:
+ *                           type: object
+ *                           additionalProperties:
+ *                             type: object
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/history', requireScope('tasks:read'), loadTask(), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const query = { task: req.task._id };
+
+    const history = await TaskHistory.find(query)
+      .populate('actor', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+
+    const total = await TaskHistory.countDocuments(query);
+
+    // Collect the IDs in tag, project, assignee and watcher changes so clients can show names
+    const userIds = new Set();
+    const tagIds = new Set();
+    const projectIds = new Set();
+    history.forEach(entry => entry.changes.forEach(({ field, from, to }) => {
+      const ids = [].concat(from || [], to || []);
+      if (field === 'tags') ids.forEach(id => tagIds.add(id));
+      if (field === 'project') ids.forEach(id => projectIds.add(id));
+      if (field === 'assignee' || field === 'watchers') ids.forEach(id => userIds.add(id));
+    }));
+
+    const [users, tags, projects] = await Promise.all([
+      User.find({ _id: { $in: [...userIds] } }).select('name email'),
+      Tag.find({ _id: { $in: [...tagIds] } }).select('name color'),
+      Project.find({ _id: { $in: [...projectIds] } }).select('name color')
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        history,
+        references: {
+          users: Object.fromEntries(users.map(user => [user._id, { name: user.name, email: user.email }])),
+          tags: Object.fromEntries(tags.map(tag => [tag._id, { name: tag.name, color: tag.color }])),
+          projects: Object.fromEntries(projects.map(project => [project._id, { name: project.name, color: project.color }]))
+        },
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get task history error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/tasks:
@@ -176,19 +950,81 @@ router.get('/:id', async (req, res) => {
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the owner's tags
+ *               project:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of one of the owner's active projects
+ *               checklist:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                     done:
+ *                       type: boolean
+ *               autoComplete:
+ *                 type: boolean
+ *                 description: Complete the task when every checklist item is done
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the user to assign the task to
+ *               watchers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of users who can follow the task
+ *               recurrence:
+ *                 $ref: '#/components/schemas/Recurrence'
+ *                 description: Repeat the task; requires a dueDate for the first occurrence
  *     responses:
  *       201:
  *         description: Task created successfully
+ *       400:
+ *         description: Validation error, unknown tags or users, or an unknown or archived project
+ *       403:
+ *         description: Email address not verified
  */
-router.post('/', validateTask, async (req, res) => {
+router.post('/', requireScope('tasks:write'), requireVerifiedEmail, validateTask, async (req, res) => {
   try {
+    const { recurrence, ...fields } = req.body;
     const taskData = {
-      ...req.body,
+      ...fields,
       createdBy: req.user._id
     };
 
-    const task = await Task.create(taskData);
-    await task.populate('createdBy', 'name email');
+    if (!(await tagsBelongTo(taskData.tags, req.user._id))) {
+      return sendInvalidTags(res);
+    }
+
+    if (!(await projectAvailable(taskData.project, req.user._id))) {
+      return sendInvalidProject(res);
+    }
+
+    if (!(await usersExist(taskData))) {
+      return sendInvalidUsers(res);
+    }
+
+    const task = new Task(taskData);
+    task.$locals.actor = req.user._id;
+
+    // A recurring task is the first occurrence of a new series
+    if (recurrence) {
+      await task.validate();
+      const series = TaskSeries.fromTask(task, recurrence);
+      await series.save();
+      task.series = series._id;
+      task.occurrence = 1;
+    }
+
+    await task.save();
+    await task.populate(Task.POPULATE);
 
     res.status(201).json({
       status: 'success',
@@ -204,6 +1040,222 @@ router.post('/', validateTask, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/tasks/bulk:
+ *   post:
+ *     summary: Update or delete many tasks at once
+ *     tags: [Tasks]
+ *     description: |
+ *       Acts on up to 100 tasks, given by ID or by a filter using the same fields as the task list.
+ *       Each task is checked against the same rules as the single-task routes: the owner and assignee
+ *       can update a task, only the owner can delete it. Tasks that fail do not stop the others;
+ *       the response has a result for every task and a summary of the failures.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [update, delete]
+ *                 description: delete moves the tasks to the trash
+ *               ids:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the tasks to act on; use either ids or filter
+ *               filter:
+ *                 type: object
+ *                 description: Act on every matching task; fails if more than 100 tasks match
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, in-progress, completed]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high]
+ *                   assignedTo:
+ *                     type: string
+ *                     description: '"me", a user ID or "none"'
+ *                   createdBy:
+ *                     type: string
+ *                     description: '"me" or a user ID'
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   tagMode:
+ *                     type: string
+ *                     enum: [any, all]
+ *                   project:
+ *                     type: string
+ *                   q:
+ *                     type: string
+ *               changes:
+ *                 type: object
+ *                 description: Required for update
+ *                 properties:
+ *                   status:
+ *                     type: string
+ *                     enum: [pending, in-progress, completed]
+ *                   priority:
+ *                     type: string
+ *                     enum: [low, medium, high]
+ *                   dueDate:
+ *                     type: string
+ *                     format: date-time
+ *                     nullable: true
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Replace the tags with these IDs of the owner's tags
+ *                   addTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Add these tags, keeping the others
+ *                   removeTags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Remove these tags, keeping the others
+ *     responses:
+ *       200:
+ *         description: The action ran; see summary.failed for tasks that could not be changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                             enum: [success, error]
+ *                           message:
+ *                             type: string
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         total:
+ *                           type: integer
+ *                         succeeded:
+ *                           type: integer
+ *                         failed:
+ *                           type: integer
+ *       400:
+ *         description: Validation error, or the filter matches too many tasks
+ *       403:
+ *         description: Email address not verified
+ */
+router.post('/bulk', requireScope('tasks:write'), requireVerifiedEmail, validateBulkTasks, async (req, res) => {
+  try {
+    const { action, ids, filter, changes = {} } = req.body;
+
+    let tasks;
+    if (ids) {
+      tasks = await Task.find({ _id: { $in: ids }, ...accessQuery(req.user) });
+    } else {
+      const { query, error } = buildTaskFilter(filter, req.user);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+
+      const count = await Task.countDocuments(query);
+      if (count > MAX_BULK_TASKS) {
+        return res.status(400).json({
+          status: 'error',
+          message: `The filter matches ${count} tasks; bulk actions are limited to ${MAX_BULK_TASKS} at a time`
+        });
+      }
+
+      tasks = await Task.find(query).sort({ createdAt: -1 });
+    }
+
+    const results = new Map();
+
+    if (action === 'delete') {
+      // Only the creator can delete a task, not its assignee or watchers
+      const trashedIds = [];
+      for (const task of tasks) {
+        if (hasAccess(task, req.user, 'owner')) {
+          trashedIds.push(task._id);
+          results.set(task.id, { status: 'success' });
+        } else {
+          results.set(task.id, { status: 'error', message: 'Only the task owner can delete this task' });
+        }
+      }
+
+      await Task.updateMany({ _id: { $in: trashedIds } }, { deletedAt: new Date(), deletedBy: req.user._id });
+      for (const taskId of trashedIds) {
+        await TaskHistory.record(taskId, req.user._id, 'deleted');
+      }
+    } else {
+      const tagIds = [...(changes.tags || []), ...(changes.addTags || [])];
+      const tags = tagIds.length > 0 ? await Tag.find({ _id: { $in: tagIds } }).select('owner') : [];
+
+      for (const task of tasks) {
+        try {
+          results.set(task.id, await bulkUpdateTask(task, changes, tags, req.user));
+        } catch (error) {
+          console.error('Bulk update task error:', error);
+          results.set(task.id, { status: 'error', message: 'Server error' });
+        }
+      }
+    }
+
+    // Report every requested ID, in the order given
+    const notFound = { status: 'error', message: 'Task not found' };
+    const resultList = (ids || tasks.map(task => task.id))
+      .map(id => ({ id, ...(results.get(id) || notFound) }));
+
+    const succeeded = resultList.filter(result => result.status === 'success').length;
+    const failed = resultList.length - succeeded;
+    const verb = action === 'delete' ? 'moved to the trash' : 'updated';
+
+    res.status(200).json({
+      status: 'success',
+      message: failed === 0
+        ? `${succeeded} ${succeeded === 1 ? 'task' : 'tasks'} ${verb} successfully`
+        : `${succeeded} of ${resultList.length} tasks ${verb}; ${failed} failed`,
+      data: {
+        results: resultList,
+        summary: { total: resultList.length, succeeded, failed }
+      }
+    });
+  } catch (error) {
+    console.error('Bulk tasks error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/tasks/{id}:
@@ -219,6 +1271,21 @@ router.post('/', validateTask, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Task ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, series]
+ *           default: occurrence
+ *         description: |
+ *           For recurring tasks, whether to change only this occurrence or the whole series.
+ *           Series changes to title, description, priority, tags, assignee, watchers and
+ *           autoComplete apply to every open occurrence and to the ones created later.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only update the task if it still has this ETag
  *     requestBody:
  *       required: true
  *       content:
@@ -239,26 +1306,54 @@ router.post('/', validateTask, async (req, res) => {
  *               dueDate:
  *                 type: string
  *                 format: date-time
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of the owner's tags
+ *               project:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of one of the owner's active projects; null takes the task out of its project
+ *               autoComplete:
+ *                 type: boolean
+ *                 description: Complete the task when every checklist item is done
+ *               assignee:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the user to assign the task to
+ *               watchers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: IDs of users who can follow the task
+ *               recurrence:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Recurrence'
+ *                 nullable: true
+ *                 description: |
+ *                   Make the task repeat, or change the rule of its series (with scope=series).
+ *                   null stops the series; existing occurrences are kept.
  *     responses:
  *       200:
  *         description: Task updated successfully
+ *       400:
+ *         description: Validation error, unknown tags or users, an unknown or archived project, or an invalid scope
+ *       403:
+ *         description: Email address not verified, or only the owner can change the assignee, watchers, project and series
  *       404:
  *         description: Task not found
+ *       412:
+ *         description: |
+ *           The task was changed since the version in If-Match, or while this update ran.
+ *           The response has the current task in data.task and its ETag.
  */
-router.put('/:id', validateTaskUpdate, async (req, res) => {
+router.put('/:id', requireScope('tasks:write'), requireVerifiedEmail, validateTaskUpdate, async (req, res) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Users can only update their own tasks
-    if (req.user.role !== 'admin') {
-      query.createdBy = req.user._id;
-    }
+    // Users can only update tasks they created or are assigned to
+    let query = { _id: req.params.id, ...accessQuery(req.user, 'write') };
 
-    const task = await Task.findOneAndUpdate(
-      query,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('createdBy', 'name email');
+    const task = await Task.findOne(query);
 
     if (!task) {
       return res.status(404).json({
@@ -267,9 +1362,130 @@ router.put('/:id', validateTaskUpdate, async (req, res) => {
       });
     }
 
+    const ifMatch = req.get('If-Match');
+    if (ifMatch && !matchesIfMatch(ifMatch, etagFor(task))) {
+      return sendPreconditionFailed(res, task._id);
+    }
+
+    const { scope = 'occurrence' } = req.query;
+    const { recurrence, ...changes } = req.body;
+
+    if (!['occurrence', 'series'].includes(scope)) {
+      return sendInvalidScope(res);
+    }
+
+    const isOwner = req.user.role === 'admin' || task.createdBy.equals(req.user._id);
+    if (!isOwner && (changes.assignee !== undefined || changes.watchers !== undefined || changes.project !== undefined)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the task owner can change the assignee, watchers and project'
+      });
+    }
+    if (!isOwner && (scope === 'series' || recurrence !== undefined)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Only the task owner can change a series'
+      });
+    }
+
+    const series = task.series ? await TaskSeries.findById(task.series) : null;
+    if (series && recurrence !== undefined && scope !== 'series') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Use scope=series to change the recurrence of a series'
+      });
+    }
+    if (!series && scope === 'series') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This task is not part of a series'
+      });
+    }
+
+    if (req.body.tags && !(await tagsBelongTo(req.body.tags, task.createdBy))) {
+      return sendInvalidTags(res);
+    }
+
+    // A task can stay in a project that has since been archived, but not move into one
+    const movesProject = changes.project && !(task.project && task.project.equals(changes.project));
+    if (movesProject && !(await projectAvailable(changes.project, task.createdBy))) {
+      return sendInvalidProject(res);
+    }
+
+    if (!(await usersExist(req.body))) {
+      return sendInvalidUsers(res);
+    }
+
+    // Saved rather than updated in place so the checklist roll-up runs
+    task.set(changes);
+    task.$locals.actor = req.user._id;
+
+    let newSeries = null;
+    if (!series && recurrence) {
+      if (!task.dueDate) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A recurring task needs a due date'
+        });
+      }
+
+      await task.validate();
+      newSeries = TaskSeries.fromTask(task, recurrence);
+      await newSeries.validate();
+      task.series = newSeries._id;
+      task.occurrence = 1;
+    }
+
+    let templateChanges = {};
+    if (scope === 'series') {
+      templateChanges = series.applyTemplate(changes);
+      if (recurrence !== undefined) {
+        series.setRule(recurrence);
+      }
+      await series.validate();
+    }
+
+    // The task is saved first, so that nothing else is written unless it is still the
+    // version that was loaded. The next occurrence waits for the series changes.
+    task.$locals.deferAdvance = true;
+    try {
+      await task.save();
+    } catch (error) {
+      // Someone else saved the task after it was loaded
+      if (error.name !== 'DocumentNotFoundError') throw error;
+      return sendPreconditionFailed(res, task._id);
+    }
+
+    if (newSeries) {
+      await newSeries.save();
+    }
+
+    if (scope === 'series') {
+      await series.save();
+
+      // Bring the other open occurrences in line with the series, one by one so each gets a history entry
+      if (Object.keys(templateChanges).length > 0) {
+        const occurrences = await Task.find({
+          series: series._id,
+          _id: { $ne: task._id },
+          status: { $ne: 'completed' }
+        });
+
+        for (const occurrence of occurrences) {
+          occurrence.set(templateChanges);
+          occurrence.$locals.actor = req.user._id;
+          await occurrence.save();
+        }
+      }
+    }
+
+    await task.advanceSeries();
+    await task.populate(Task.POPULATE);
+
+    res.set('ETag', etagFor(task));
     res.status(200).json({
       status: 'success',
-      message: 'Task updated successfully',
+      message: scope === 'series' ? 'Series updated successfully' : 'Task updated successfully',
       data: { task }
     });
   } catch (error) {
@@ -285,8 +1501,11 @@ router.put('/:id', validateTaskUpdate, async (req, res) => {
  * @swagger
  * /api/v1/tasks/{id}:
  *   delete:
- *     summary: Delete a task
+ *     summary: Move a task to the trash
  *     tags: [Tasks]
+ *     description: |
+ *       Only the creator (or an admin) can delete a task. Deleted tasks go to the trash,
+ *       where they can be restored until they are purged after TRASH_RETENTION_DAYS (30 by default).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -296,33 +1515,77 @@ router.put('/:id', validateTaskUpdate, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Task ID
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [occurrence, series]
+ *           default: occurrence
+ *         description: |
+ *           For recurring tasks, series ends the series and moves its open occurrences to the trash.
+ *           Completed occurrences are kept.
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only delete the task if it still has this ETag
  *     responses:
  *       200:
- *         description: Task deleted successfully
+ *         description: Task moved to the trash
+ *       400:
+ *         description: Invalid scope
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Task not found
+ *       412:
+ *         description: The task was changed since the version in If-Match; the response has the current task
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
   try {
-    let query = { _id: req.params.id };
-    
-    // Users can only delete their own tasks
-    if (req.user.role !== 'admin') {
-      query.createdBy = req.user._id;
+    const { scope = 'occurrence' } = req.query;
+    if (!['occurrence', 'series'].includes(scope)) {
+      return sendInvalidScope(res);
     }
 
-    const task = await Task.findOneAndDelete(query);
+    // Only the creator can delete a task, not its assignee or watchers
+    let query = { _id: req.params.id, ...accessQuery(req.user, 'owner') };
+
+    // With If-Match, only delete the version the client has seen
+    const ifMatch = req.get('If-Match');
+    const versions = ifMatch ? versionsIn(ifMatch) : null;
+
+    const trashed = { deletedAt: new Date(), deletedBy: req.user._id };
+    const task = await Task.findOneAndUpdate(versions ? { ...query, version: Task.versionCondition(versions) } : query, trashed);
 
     if (!task) {
+      if (versions && await Task.exists(query)) {
+        return sendPreconditionFailed(res, req.params.id);
+      }
+
       return res.status(404).json({
         status: 'error',
         message: 'Task not found'
       });
     }
 
+    const trashedIds = [task._id];
+
+    if (scope === 'series' && task.series) {
+      const open = await Task.find({ series: task.series, status: { $ne: 'completed' } }).select('_id');
+      trashedIds.push(...open.map(occurrence => occurrence._id));
+
+      await Task.updateMany({ _id: { $in: trashedIds } }, trashed);
+      await TaskSeries.updateOne({ _id: task.series }, { nextDueDate: null });
+    }
+
+    for (const taskId of trashedIds) {
+      await TaskHistory.record(taskId, req.user._id, 'deleted');
+    }
+
     res.status(200).json({
       status: 'success',
-      message: 'Task deleted successfully'
+      message: scope === 'series' && task.series ? 'Series moved to the trash' : 'Task moved to the trash'
     });
   } catch (error) {
     console.error('Delete task error:', error);
@@ -333,4 +1596,58 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/v1/tasks/{id}/restore:
+ *   post:
+ *     summary: Restore a task from the trash
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Task restored successfully
+ *       403:
+ *         description: Email address not verified
+ *       404:
+ *         description: Task not found in the trash
+ */
+router.post('/:id/restore', requireScope('tasks:write'), requireVerifiedEmail, async (req, res) => {
+  try {
+    let query = { _id: req.params.id, deletedAt: { $ne: null }, ...accessQuery(req.user, 'owner') };
+
+    const task = await Task.findOneAndUpdate(
+      query,
+      { deletedAt: null, $unset: { deletedBy: 1 } },
+      { new: true }
+    ).populate(Task.POPULATE);
+
+    if (!task) {
+      return sendNotInTrash(res);
+    }
+
+    await TaskHistory.record(task._id, req.user._id, 'restored');
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Task restored successfully',
+      data: { task }
+    });
+  } catch (error) {
+    console.error('Restore task error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.listTasks = listTasks;
\ No newline at end of file
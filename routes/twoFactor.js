@@ -0,0 +1,261 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const { protect, requireSession } = require('../middleware/auth');
+const { validateTwoFactorCode, validateTwoFactorDisable } = require('../middleware/validation');
+const { generateSecret, provisioningUri } = require('../utils/totp');
+
+const router = express.Router();
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Task Manager';
+
+// All routes are protected and need an interactive session
+router.use(protect);
+router.use(requireSession);
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     tags: [Two-Factor Authentication]
+ *     description: Generates a new TOTP secret. 2FA is only turned on once a code is confirmed through /auth/2fa/enable.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated with its provisioning URI and QR code
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/setup', async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = provisioningUri(secret, req.user.email, ISSUER);
+
+    await User.updateOne({ _id: req.user._id }, { twoFactorSecret: secret });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a TOTP code and turn on 2FA
+ *     tags: [Two-Factor Authentication]
+ *     description: Returns one-time recovery codes. They are only shown once.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or enrollment not started
+ */
+router.post('/enable', validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication enabled',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Two-Factor Authentication]
+ *     description: Invalidates every previous recovery code.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ */
+router.post('/recovery-codes', validateTwoFactorCode, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorSecret +twoFactorLastStep');
+
+    if (!user.twoFactorEnabled || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Recovery codes regenerated',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     tags: [Two-Factor Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid password or code
+ *       403:
+ *         description: 2FA is mandatory for admin accounts
+ */
+router.post('/disable', validateTwoFactorDisable, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (req.user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Two-factor authentication is required for admin accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+password +twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    const secondFactorValid = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!user.twoFactorEnabled || !(await user.comparePassword(password)) || !secondFactorValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastStep = undefined;
+    await user.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Two-factor authentication disabled',
+      data: { user }
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
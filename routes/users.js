@@ -1,11 +1,81 @@
 const express = require('express');
 const User = require('../models/User');
-const { protect, restrictTo } = require('../middleware/auth');
+const Invitation = require('../models/Invitation');
+const {
+  protect,
+  restrictTo,
+  requireScope,
+  revokeAllSessions,
+  revokeAccessTokens
+} = require('../middleware/auth');
+const { validateInvitation } = require('../middleware/validation');
+const { clearFailedLogins } = require('../utils/loginAttempts');
+const { randomToken, hashToken } = require('../utils/tokens');
+const { sendMail, frontendUrl } = require('../utils/mailer');
+const { escapeRegex } = require('../utils/search');
+const { parsePagination, stableSort, pageQuery, pageResult, setLinkHeader } = require('../utils/pagination');
 
 const router = express.Router();
 
-// All routes are protected and admin only
+// All routes are protected
 router.use(protect);
+
+/**
+ * @swagger
+ * /api/v1/users/lookup:
+ *   get:
+ *     summary: Find users to assign or share tasks with
+ *     tags: [Users]
+ *     description: Available to every user. Matches the start of a name or email and returns at most 10 users with only their name and email.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Start of the name or email to look for
+ *     responses:
+ *       200:
+ *         description: Matching users
+ *       400:
+ *         description: Query too short
+ */
+router.get('/lookup', requireScope('users:read'), async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (q.length < 2) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Search for at least 2 characters'
+      });
+    }
+
+    const pattern = new RegExp(`^${escapeRegex(q)}`, 'i');
+    const users = await User.find({ $or: [{ name: pattern }, { email: pattern }] })
+      .select('name email')
+      .sort({ name: 1 })
+      .limit(10);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        users: users.map(({ _id, name, email }) => ({ _id, name, email }))
+      }
+    });
+  } catch (error) {
+    console.error('Lookup users error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+// Everything below is admin only
 router.use(restrictTo('admin'));
 
 /**
@@ -22,42 +92,71 @@ router.use(restrictTo('admin'));
  *         schema:
  *           type: integer
  *           minimum: 1
- *         description: Page number for pagination
+ *         description: Page number, for offset paging; use after/before for deep or changing lists
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.nextCursor; returns the users after it
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor from pagination.prevCursor; returns the users before it
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           minimum: 1
  *           maximum: 100
- *         description: Number of users per page
+ *           default: 10
+ *         description: Number of users per page; larger values are lowered to 100
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *         description: Count the matching users (pagination.total and pages). Defaults to true with page numbers and false with cursors.
  *     responses:
  *       200:
  *         description: Users retrieved successfully
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: URLs of the first, previous and next pages (rel="first", "prev", "next")
+ *       400:
+ *         description: Invalid page, limit or cursor
  *       403:
  *         description: Access denied
  */
-router.get('/', async (req, res) => {
+router.get('/', requireScope('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const skip = (page - 1) * limit;
+    const pagination = parsePagination(req.query);
+    const sort = stableSort({ createdAt: -1 });
+    const page = pagination.error ? null : pageQuery(pagination, sort);
 
-    const users = await User.find()
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+    const invalid = pagination.error || page.error;
+    if (invalid) {
+      return res.status(400).json({
+        status: 'error',
+        message: invalid
+      });
+    }
 
-    const total = await User.countDocuments();
+    const rows = await User.find(page.conditions || {})
+      .sort(page.sort)
+      .skip(page.skip)
+      .limit(page.limit);
 
+    const total = pagination.includeTotal ? await User.countDocuments() : undefined;
+    const { items: users, pagination: info } = pageResult(rows, pagination, sort, total);
+
+    setLinkHeader(req, res, info);
     res.status(200).json({
       status: 'success',
       data: {
         users,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
-        }
+        pagination: info
       }
     });
   } catch (error) {
@@ -69,6 +168,165 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   post:
+ *     summary: Create an invitation (Admin only)
+ *     tags: [Users]
+ *     description: Returns a single-use invite code. It is only shown once; when an email is given, the invitation is also emailed and only that address can redeem it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *               email:
+ *                 type: string
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *       403:
+ *         description: Access denied
+ */
+router.post('/invitations', requireScope('users:write'), validateInvitation, async (req, res) => {
+  try {
+    const { role = 'user', email, expiresInDays = 7 } = req.body;
+
+    const code = randomToken(16);
+    const invitation = await Invitation.create({
+      codeHash: hashToken(code),
+      email,
+      role,
+      createdBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    // Only the code is shown to the admin; its hash stays on the server
+    invitation.codeHash = undefined;
+
+    const link = frontendUrl('/register', { invite: code });
+
+    if (email) {
+      await sendMail({
+        to: email,
+        subject: 'You have been invited to Task Manager',
+        text: `${req.user.name} invited you to join Task Manager as ${role === 'admin' ? 'an admin' : 'a user'}.\n\n`
+          + `Create your account with the link below. It expires in ${expiresInDays} days.\n\n`
+          + `${link}`
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Invitation created successfully',
+      data: {
+        invitation,
+        code,
+        link
+      }
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations:
+ *   get:
+ *     summary: Get all invitations (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *       403:
+ *         description: Access denied
+ */
+router.get('/invitations', requireScope('users:read'), async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate('createdBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { invitations }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke an unused invitation (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invitation ID
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Invitation not found or already used
+ */
+router.delete('/invitations/:id', requireScope('users:write'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findOneAndDelete({
+      _id: req.params.id,
+      usedAt: null
+    });
+
+    if (!invitation) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invitation not found or already used'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invitation revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/v1/users/{id}:
@@ -90,7 +348,7 @@ router.get('/', async (req, res) => {
  *       404:
  *         description: User not found
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireScope('users:read'), async (req, res) => {
   try {
     const user = await User.findById(req.params.id);
     
@@ -120,6 +378,7 @@ router.get('/:id', async (req, res) => {
  *   patch:
  *     summary: Update user role (Admin only)
  *     tags: [Users]
+ *     description: Changing the role signs the user out of every session and revokes their personal access tokens.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -147,7 +406,7 @@ router.get('/:id', async (req, res) => {
  *       404:
  *         description: User not found
  */
-router.patch('/:id/role', async (req, res) => {
+router.patch('/:id/role', requireScope('users:write'), async (req, res) => {
   try {
     const { role } = req.body;
 
@@ -158,11 +417,7 @@ router.patch('/:id/role', async (req, res) => {
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true, runValidators: true }
-    );
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({
@@ -171,6 +426,16 @@ router.patch('/:id/role', async (req, res) => {
       });
     }
 
+    // Saving through the document bumps tokenVersion when the role changes,
+    // which ends every session; personal access tokens are revoked separately
+    const roleChanged = user.role !== role;
+    user.role = role;
+    await user.save();
+
+    if (roleChanged) {
+      await revokeAccessTokens(user._id);
+    }
+
     res.status(200).json({
       status: 'success',
       message: 'User role updated successfully',
@@ -185,4 +450,98 @@ router.patch('/:id/role', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/v1/users/{id}/revoke-sessions:
+ *   post:
+ *     summary: Sign a user out of every session and revoke their access tokens (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User sessions revoked successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/revoke-sessions', requireScope('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await revokeAllSessions(user._id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User sessions revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   post:
+ *     summary: Clear failed logins and lift a lockout (Admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', requireScope('users:write'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found'
+      });
+    }
+
+    await clearFailedLogins(user.email);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+// Read --name, --email and --password, falling back to ADMIN_* env variables
+const parseArgs = () => {
+  const args = {};
+  const argv = process.argv.slice(2);
+
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+
+  return {
+    name: args.name || process.env.ADMIN_NAME || 'Admin User',
+    email: args.email || process.env.ADMIN_EMAIL,
+    password: args.password || process.env.ADMIN_PASSWORD
+  };
+};
+
+const createAdmin = async () => {
+  const { name, email, password } = parseArgs();
+
+  if (!email || !password) {
+    console.error('Usage: npm run create-admin -- --email <email> --password <password> [--name <name>]');
+    process.exit(1);
+  }
+
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Only bootstraps the first admin; further admins are invited
+    const existingAdmin = await User.findOne({ role: 'admin' });
+    if (existingAdmin) {
+      console.error(`An admin already exists (${existingAdmin.email}). Invite new admins through POST /api/v1/users/invitations.`);
+      process.exit(1);
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      console.error(`A user already exists with the email ${email}`);
+      process.exit(1);
+    }
+
+    await User.create({
+      name,
+      email,
+      password,
+      role: 'admin',
+      emailVerified: true
+    });
+
+    console.log('\n=== Admin Created Successfully ===');
+    console.log(`  Email: ${email}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin:', error);
+    process.exit(1);
+  }
+};
+
+createAdmin();
@@ -0,0 +1,159 @@
+// Minimal OpenID Connect provider for local development and tests.
+// Supports discovery, the authorization code flow with PKCE (S256) and JWKS.
+//
+//   npm run mock-idp
+//   OIDC_ISSUER=http://localhost:9000 OIDC_CLIENT_ID=task-manager npm run dev
+//
+// The login page lets you pick the email, name and groups of the identity.
+// Set MOCK_IDP_AUTO_APPROVE=true to skip it and sign in the default identity.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = process.env.MOCK_IDP_PORT || 9000;
+const ISSUER = process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`;
+const DEFAULT_IDENTITY = {
+  email: process.env.MOCK_IDP_EMAIL || 'sso.user@example.com',
+  name: process.env.MOCK_IDP_NAME || 'SSO User',
+  groups: process.env.MOCK_IDP_GROUPS || 'staff'
+};
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// Issued authorization codes, valid for one minute
+const codes = new Map();
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile'],
+    token_endpoint_auth_methods_supported: ['client_secret_post', 'none']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+// Issue a code for the chosen identity and send the browser back to the client
+const approve = (res, params, identity) => {
+  const code = base64url(crypto.randomBytes(24));
+  const email = identity.email.toLowerCase();
+
+  codes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    expiresAt: Date.now() + 60 * 1000,
+    claims: {
+      sub: crypto.createHash('sha256').update(email).digest('hex').slice(0, 24),
+      email,
+      email_verified: true,
+      name: identity.name,
+      groups: identity.groups.split(',').map(group => group.trim()).filter(Boolean)
+    }
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+  res.redirect(redirect.toString());
+};
+
+app.get('/authorize', (req, res) => {
+  const params = req.query;
+
+  if (params.response_type !== 'code' || !params.client_id || !params.redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  if (params.code_challenge_method !== 'S256' || !params.code_challenge) {
+    return res.status(400).send('PKCE with S256 is required');
+  }
+
+  if (process.env.MOCK_IDP_AUTO_APPROVE === 'true') {
+    return approve(res, params, DEFAULT_IDENTITY);
+  }
+
+  const hidden = Object.entries(params)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join('\n');
+
+  res.send(`<!doctype html>
+<html>
+  <head><title>Mock IdP</title></head>
+  <body style="font-family: sans-serif; max-width: 400px; margin: 50px auto;">
+    <h2>Mock Identity Provider</h2>
+    <form method="post" action="/authorize">
+      ${hidden}
+      <p><label>Email<br><input name="login_email" value="${escapeHtml(DEFAULT_IDENTITY.email)}"></label></p>
+      <p><label>Name<br><input name="login_name" value="${escapeHtml(DEFAULT_IDENTITY.name)}"></label></p>
+      <p><label>Groups (comma separated)<br><input name="login_groups" value="${escapeHtml(DEFAULT_IDENTITY.groups)}"></label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { login_email: email, login_name: name, login_groups: groups, ...params } = req.body;
+  approve(res, params, { email, name, groups: groups || '' });
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId, code_verifier: codeVerifier } = req.body;
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  if (grantType !== 'authorization_code' || !issued || issued.expiresAt < Date.now()) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Unknown or expired code' });
+  }
+
+  if (issued.clientId !== clientId || issued.redirectUri !== redirectUri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect URI mismatch' });
+  }
+
+  const challenge = base64url(crypto.createHash('sha256').update(codeVerifier || '').digest());
+  if (challenge !== issued.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(
+    { ...issued.claims, nonce: issued.nonce },
+    privateKey,
+    { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: clientId, expiresIn: '5m' }
+  );
+
+  res.json({
+    access_token: base64url(crypto.randomBytes(24)),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock IdP running at ${ISSUER}`);
+});
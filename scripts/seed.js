@@ -1,5 +1,4 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
 require('dotenv').config();
 
 const User = require('../models/User');
@@ -13,15 +12,16 @@ const seedData = async () => {
 
     // Clear existing data
     await User.deleteMany({});
-    await Task.deleteMany({});
+    await Task.deleteMany({}).setOptions({ withTrashed: true });
     console.log('Cleared existing data');
 
     // Create admin user
-    const adminUser = await User.create({
+    await User.create({
       name: 'Admin User',
       email: 'admin@example.com',
       password: 'admin123',
-      role: 'admin'
+      role: 'admin',
+      emailVerified: true
     });
 
     // Create regular user
@@ -29,7 +29,8 @@ const seedData = async () => {
       name: 'John Doe',
       email: 'john@example.com',
       password: 'password123',
-      role: 'user'
+      role: 'user',
+      emailVerified: true
     });
 
     console.log('Created users');
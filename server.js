@@ -8,18 +8,35 @@ const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accessTokenRoutes = require('./routes/accessTokens');
+const oidcRoutes = require('./routes/oidc');
 const taskRoutes = require('./routes/tasks');
+const tagRoutes = require('./routes/tags');
+const projectRoutes = require('./routes/projects');
 const userRoutes = require('./routes/users');
+const Task = require('./models/Task');
+const TaskSeries = require('./models/TaskSeries');
 const { logger, errorLogger, appLogger } = require('./middleware/logger');
+const { schedule } = require('./utils/scheduler');
+const { checkMailConfig } = require('./utils/mailer');
+
+// Refuse to start with settings that would leak account links
+checkMailConfig();
 
 const app = express();
 
+// How often recurring series are checked for occurrences that are due
+const RECURRENCE_CHECK_MINUTES = parseInt(process.env.RECURRENCE_CHECK_MINUTES, 10) || 15;
+// How often tasks past the trash retention period are purged
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
 // Logging middleware (should be first)
 app.use(logger);
 
 // Security middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ exposedHeaders: ['ETag', 'Link'] }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -28,9 +45,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Body parsing middleware; files are uploaded as multipart to the attachment routes
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ extended: true, limit: '100kb' }));
 
 // Swagger configuration
 const swaggerOptions = {
@@ -64,8 +81,13 @@ const specs = swaggerJsdoc(swaggerOptions);
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
 
 // Routes
+app.use('/api/v1/auth/2fa', twoFactorRoutes);
+app.use('/api/v1/auth/tokens', accessTokenRoutes);
+app.use('/api/v1/auth/oidc', oidcRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/tasks', taskRoutes);
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/projects', projectRoutes);
 app.use('/api/v1/users', userRoutes);
 
 // Health check
@@ -104,6 +126,28 @@ mongoose.connect(process.env.MONGODB_URI)
   .then(() => {
     appLogger.info('MongoDB connected successfully');
     console.log('MongoDB connected successfully');
+
+    Task.backfillPriorityRanks()
+      .then(updated => {
+        if (updated > 0) {
+          appLogger.info('Task priority ranks backfilled', { count: updated });
+        }
+      })
+      .catch(error => appLogger.error('Priority rank backfill failed', { error: error.message }));
+
+    schedule('Recurring task generator', RECURRENCE_CHECK_MINUTES * 60 * 1000, async () => {
+      const created = await TaskSeries.generateDue();
+      if (created > 0) {
+        appLogger.info('Recurring tasks created', { count: created });
+      }
+    });
+
+    schedule('Trash purge', TRASH_PURGE_INTERVAL_MS, async () => {
+      const purged = await Task.purgeExpired();
+      if (purged > 0) {
+        appLogger.info('Trashed tasks purged', { count: purged });
+      }
+    });
   })
   .catch(err => {
     appLogger.error('MongoDB connection error', { error: err.message });
@@ -0,0 +1,66 @@
+const request = require('supertest');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+// Create a personal access token through the API; returns the response body data
+const createAccessToken = async (authorization, scopes) => {
+  const res = await request(app)
+    .post('/api/v1/auth/tokens')
+    .set('Authorization', authorization)
+    .send({ name: 'CI', scopes });
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+describe('personal access tokens', () => {
+  test('the token hash is never returned', async () => {
+    const session = await authHeader(await createUser());
+
+    const { accessToken, token } = await createAccessToken(session, ['tasks:read']);
+    expect(token).toMatch(/^pat_/);
+    expect(accessToken.tokenHash).toBeUndefined();
+
+    const res = await request(app).get('/api/v1/auth/tokens').set('Authorization', session);
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens).toHaveLength(1);
+    expect(res.body.data.tokens[0].tokenHash).toBeUndefined();
+  });
+
+  test('a token can use the endpoints its scopes allow', async () => {
+    const user = await createUser();
+    const { token } = await createAccessToken(await authHeader(user), ['tasks:read', 'tasks:write']);
+
+    const res = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'A task', description: 'Something to do' });
+
+    expect(res.status).toBe(201);
+  });
+
+  test('a read-only token cannot write', async () => {
+    const user = await createUser();
+    const { token } = await createAccessToken(await authHeader(user), ['tasks:read']);
+    const authorization = `Bearer ${token}`;
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', authorization)).status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'A task', description: 'Something to do' });
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/tasks:write/);
+  });
+
+  test('a token cannot manage tokens', async () => {
+    const user = await createUser();
+    const { token } = await createAccessToken(await authHeader(user), ['tasks:read', 'tasks:write']);
+
+    const res = await request(app).get('/api/v1/auth/tokens').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
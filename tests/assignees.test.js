@@ -0,0 +1,75 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('assignees and watchers', () => {
+  test('an assignee sees the task and can work on it', async () => {
+    const owner = await createUser();
+    const assignee = await createUser();
+
+    const created = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', await authHeader(owner))
+      .send({ title: 'Review PR', description: 'Before Friday', assignee: assignee._id });
+    expect(created.status).toBe(201);
+    const taskId = created.body.data.task._id;
+
+    const authorization = await authHeader(assignee);
+    const list = await request(app)
+      .get('/api/v1/tasks')
+      .query({ assignedTo: 'me' })
+      .set('Authorization', authorization);
+    expect(list.body.data.tasks.map(task => task._id)).toEqual([taskId]);
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${taskId}`)
+      .set('Authorization', authorization)
+      .send({ status: 'in-progress' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.task.status).toBe('in-progress');
+  });
+
+  test('only the owner can hand the task to someone else', async () => {
+    const owner = await createUser();
+    const assignee = await createUser();
+    const other = await createUser();
+    const task = await createTask(owner, { assignee: assignee._id });
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task._id}`)
+      .set('Authorization', await authHeader(assignee))
+      .send({ assignee: other._id });
+
+    expect(res.status).toBe(403);
+  });
+
+  test('watchers can read the task but not change it', async () => {
+    const owner = await createUser();
+    const watcher = await createUser();
+    const task = await createTask(owner, { watchers: [watcher._id] });
+    const authorization = await authHeader(watcher);
+
+    expect((await request(app).get(`/api/v1/tasks/${task._id}`).set('Authorization', authorization)).status).toBe(200);
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task._id}`)
+      .set('Authorization', authorization)
+      .send({ status: 'completed' });
+    expect(res.status).toBe(404);
+  });
+
+  test('the assignee must be an existing user', async () => {
+    const owner = await createUser();
+
+    const res = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', await authHeader(owner))
+      .send({ title: 'Review PR', description: 'Before Friday', assignee: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Assignee and watchers must be existing users');
+  });
+});
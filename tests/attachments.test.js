@@ -0,0 +1,72 @@
+process.env.ATTACHMENT_MAX_SIZE_MB = '1';
+process.env.STORAGE_DRIVER = 'memory';
+
+const { Readable } = require('stream');
+const request = require('supertest');
+const { registerDriver } = require('../utils/storage');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+// Stored files, by storage key
+const files = new Map();
+registerDriver('memory', {
+  save: async (key, buffer) => {
+    files.set(key, buffer);
+  },
+  createReadStream: (key) => Readable.from([files.get(key)]),
+  remove: async (key) => {
+    files.delete(key);
+  }
+});
+
+afterEach(() => {
+  files.clear();
+  memoryDb.clear();
+});
+
+describe('task attachments', () => {
+  let user;
+  let authorization;
+  let task;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+    task = await createTask(user);
+  });
+
+  const upload = (content, filename, contentType) => request(app)
+    .post(`/api/v1/tasks/${task._id}/attachments`)
+    .set('Authorization', authorization)
+    .attach('file', Buffer.from(content), { filename, contentType });
+
+  test('an uploaded file can be downloaded', async () => {
+    const res = await upload('hello', 'notes.txt', 'text/plain');
+    expect(res.status).toBe(201);
+    expect(res.body.data.attachment).toEqual(expect.objectContaining({ filename: 'notes.txt', size: 5 }));
+    expect(res.body.data.attachment.storageKey).toBeUndefined();
+
+    const download = await request(app)
+      .get(`/api/v1/tasks/${task._id}/attachments/${res.body.data.attachment._id}/download`)
+      .set('Authorization', authorization);
+
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toMatch(/^attachment/);
+    expect(download.text).toBe('hello');
+  });
+
+  test('files of other types are refused', async () => {
+    const res = await upload('<script></script>', 'page.html', 'text/html');
+
+    expect(res.status).toBe(415);
+    expect(files.size).toBe(0);
+  });
+
+  test('files above the size limit are refused', async () => {
+    const res = await upload(Buffer.alloc(1024 * 1024 + 1), 'big.txt', 'text/plain');
+
+    expect(res.status).toBe(413);
+    expect(res.body.message).toBe('Files cannot be larger than 1 MB');
+    expect(files.size).toBe(0);
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+// Create a personal access token for the user through the API
+const createAccessToken = async (authorization) => {
+  const res = await request(app)
+    .post('/api/v1/auth/tokens')
+    .set('Authorization', authorization)
+    .send({ name: 'CI', scopes: ['tasks:read'] });
+  expect(res.status).toBe(201);
+  return `Bearer ${res.body.data.token}`;
+};
+
+describe('revoking every session', () => {
+  test('logout-all revokes personal access tokens too', async () => {
+    const user = await createUser();
+    const session = await authHeader(user);
+    const accessToken = await createAccessToken(session);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', accessToken)).status).toBe(200);
+
+    const res = await request(app).post('/api/v1/auth/logout-all').set('Authorization', session);
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', session)).status).toBe(401);
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', accessToken)).status).toBe(401);
+  });
+
+  test('an admin revoking a user\'s sessions revokes their personal access tokens', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const accessToken = await createAccessToken(await authHeader(user));
+
+    const res = await request(app)
+      .post(`/api/v1/users/${user._id}/revoke-sessions`)
+      .set('Authorization', await authHeader(admin));
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', accessToken)).status).toBe(401);
+  });
+
+  test('changing the password revokes personal access tokens', async () => {
+    const user = await createUser();
+    const session = await authHeader(user);
+    const accessToken = await createAccessToken(session);
+
+    const res = await request(app)
+      .post('/api/v1/auth/change-password')
+      .set('Authorization', session)
+      .send({ currentPassword: 'password123', newPassword: 'newPassword456' });
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', accessToken)).status).toBe(401);
+  });
+
+  test('changing a user\'s role revokes their personal access tokens', async () => {
+    const admin = await createUser({ role: 'admin' });
+    const user = await createUser();
+    const accessToken = await createAccessToken(await authHeader(user));
+
+    const res = await request(app)
+      .patch(`/api/v1/users/${user._id}/role`)
+      .set('Authorization', await authHeader(admin))
+      .send({ role: 'admin' });
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', accessToken)).status).toBe(401);
+  });
+});
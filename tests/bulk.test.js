@@ -0,0 +1,107 @@
+const request = require('supertest');
+const Tag = require('../models/Tag');
+const Task = require('../models/Task');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+const bulk = async (user, body) => request(app)
+  .post('/api/v1/tasks/bulk')
+  .set('Authorization', await authHeader(user))
+  .send(body);
+
+describe('bulk task actions', () => {
+  test('updates the given tasks and reports the ones the user cannot see', async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const [first, second] = [await createTask(user), await createTask(user)];
+    const hidden = await createTask(other);
+
+    const res = await bulk(user, {
+      action: 'update',
+      ids: [first.id, hidden.id, second.id],
+      changes: { status: 'completed' }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([
+      { id: first.id, status: 'success' },
+      { id: hidden.id, status: 'error', message: 'Task not found' },
+      { id: second.id, status: 'success' }
+    ]);
+    expect(res.body.data.summary).toEqual({ total: 3, succeeded: 2, failed: 1 });
+
+    expect((await Task.findById(first._id)).status).toBe('completed');
+    expect((await Task.findById(first._id)).version).toBe(2);
+    expect((await Task.findById(hidden._id)).status).toBe('pending');
+  });
+
+  test('adds and removes tags', async () => {
+    const user = await createUser();
+    const [urgent, later] = await Tag.create([
+      { name: 'urgent', owner: user._id },
+      { name: 'later', owner: user._id }
+    ]);
+    const task = await createTask(user, { tags: [later._id] });
+
+    const res = await bulk(user, {
+      action: 'update',
+      ids: [task.id],
+      changes: { addTags: [urgent.id], removeTags: [later.id] }
+    });
+
+    expect(res.body.data.summary.succeeded).toBe(1);
+    expect((await Task.findById(task._id)).tags.map(String)).toEqual([urgent.id]);
+  });
+
+  test('refuses tags of another user', async () => {
+    const user = await createUser();
+    const other = await createUser();
+    const tag = await Tag.create({ name: 'theirs', owner: other._id });
+    const task = await createTask(user);
+
+    const res = await bulk(user, { action: 'update', ids: [task.id], changes: { addTags: [tag.id] } });
+
+    expect(res.body.data.results[0]).toMatchObject({ status: 'error', message: 'One or more tags do not exist' });
+    expect((await Task.findById(task._id)).tags).toHaveLength(0);
+  });
+
+  test('moves the tasks matching a filter to the trash', async () => {
+    const user = await createUser();
+    const done = await createTask(user, { status: 'completed' });
+    const open = await createTask(user, { status: 'pending' });
+
+    const res = await bulk(user, { action: 'delete', filter: { status: 'completed' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([{ id: done.id, status: 'success' }]);
+    expect(await Task.findById(done._id)).toBeNull();
+    expect(await Task.findById(open._id)).not.toBeNull();
+  });
+
+  test('lets assignees update but not delete', async () => {
+    const owner = await createUser();
+    const assignee = await createUser();
+    const task = await createTask(owner, { assignee: assignee._id });
+
+    const updated = await bulk(assignee, { action: 'update', ids: [task.id], changes: { priority: 'high' } });
+    expect(updated.body.data.results[0].status).toBe('success');
+
+    const deleted = await bulk(assignee, { action: 'delete', ids: [task.id] });
+    expect(deleted.body.data.results[0]).toMatchObject({
+      status: 'error',
+      message: 'Only the task owner can delete this task'
+    });
+    expect(await Task.findById(task._id)).not.toBeNull();
+  });
+
+  test('rejects requests with both ids and a filter', async () => {
+    const user = await createUser();
+    const task = await createTask(user);
+
+    const res = await bulk(user, { action: 'delete', ids: [task.id], filter: { status: 'pending' } });
+
+    expect(res.status).toBe(400);
+  });
+});
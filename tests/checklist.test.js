@@ -0,0 +1,93 @@
+const request = require('supertest');
+const Task = require('../models/Task');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  memoryDb.clear();
+});
+
+describe('task checklists', () => {
+  let user;
+  let authorization;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+  });
+
+  const addItem = (task, title) => request(app)
+    .post(`/api/v1/tasks/${task._id}/checklist`)
+    .set('Authorization', authorization)
+    .send({ title });
+
+  test('ticking every item completes a task with autoComplete', async () => {
+    const task = await createTask(user, { autoComplete: true });
+    await addItem(task, 'Draft');
+    const added = await addItem(task, 'Review');
+    expect(added.status).toBe(201);
+    expect(added.body.data.task.progress).toBe(0);
+
+    const [first, second] = added.body.data.task.checklist;
+    const tick = (item) => request(app)
+      .patch(`/api/v1/tasks/${task._id}/checklist/${item._id}`)
+      .set('Authorization', authorization)
+      .send({ done: true });
+
+    const half = await tick(first);
+    expect(half.body.data.task.progress).toBe(50);
+    expect(half.body.data.task.status).toBe('pending');
+
+    const done = await tick(second);
+    expect(done.body.data.task.progress).toBe(100);
+    expect(done.body.data.task.status).toBe('completed');
+  });
+
+  test('a reorder must list every item exactly once', async () => {
+    const task = await createTask(user);
+    await addItem(task, 'Draft');
+    const added = await addItem(task, 'Review');
+    const [first, second] = added.body.data.task.checklist;
+
+    const partial = await request(app)
+      .put(`/api/v1/tasks/${task._id}/checklist/order`)
+      .set('Authorization', authorization)
+      .send({ itemIds: [second._id] });
+    expect(partial.status).toBe(400);
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task._id}/checklist/order`)
+      .set('Authorization', authorization)
+      .send({ itemIds: [second._id, first._id] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.task.checklist.map(item => item.title)).toEqual(['Review', 'Draft']);
+  });
+
+  test('watchers cannot change the checklist', async () => {
+    const owner = await createUser();
+    const task = await createTask(owner, { watchers: [user._id] });
+
+    const res = await addItem(task, 'Sneaky');
+
+    expect(res.status).toBe(404);
+  });
+
+  test('a change racing another save fails with the current task', async () => {
+    const task = await createTask(user);
+
+    // Someone else saves the task right after the route has loaded it
+    const findOne = Task.findOne.bind(Task);
+    jest.spyOn(Task, 'findOne').mockImplementationOnce(async (...args) => {
+      const loaded = await findOne(...args);
+      await Task.updateOne({ _id: task._id }, { title: 'Changed elsewhere', $inc: { version: 1 } });
+      return loaded;
+    });
+
+    const res = await addItem(task, 'Draft');
+
+    expect(res.status).toBe(412);
+    expect(res.body.data.task.title).toBe('Changed elsewhere');
+    expect(res.body.data.task.checklist).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+const request = require('supertest');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+// Post a comment as the user; returns the created comment
+const comment = async (user, task, fields) => {
+  const res = await request(app)
+    .post(`/api/v1/tasks/${task._id}/comments`)
+    .set('Authorization', await authHeader(user))
+    .send(fields);
+  expect(res.status).toBe(201);
+  return res.body.data.comment;
+};
+
+const threadsOf = async (user, task) => {
+  const res = await request(app)
+    .get(`/api/v1/tasks/${task._id}/comments`)
+    .set('Authorization', await authHeader(user));
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+describe('task comments', () => {
+  test('replies are nested under their comment', async () => {
+    const owner = await createUser();
+    const watcher = await createUser();
+    const task = await createTask(owner, { watchers: [watcher._id] });
+
+    const question = await comment(watcher, task, { body: 'When is this due?' });
+    await comment(owner, task, { body: 'Friday', parentId: question._id });
+
+    const { comments, total } = await threadsOf(owner, task);
+    expect(total).toBe(2);
+    expect(comments).toHaveLength(1);
+    expect(comments[0].body).toBe('When is this due?');
+    expect(comments[0].replies.map(reply => reply.body)).toEqual(['Friday']);
+  });
+
+  test('deleting a comment with replies keeps its place in the thread', async () => {
+    const user = await createUser();
+    const task = await createTask(user);
+    const question = await comment(user, task, { body: 'When is this due?' });
+    await comment(user, task, { body: 'Friday', parentId: question._id });
+
+    const res = await request(app)
+      .delete(`/api/v1/tasks/${task._id}/comments/${question._id}`)
+      .set('Authorization', await authHeader(user));
+    expect(res.status).toBe(200);
+
+    const { comments, total } = await threadsOf(user, task);
+    expect(total).toBe(1);
+    expect(comments[0].body).toBe('');
+    expect(comments[0].deletedAt).toBeTruthy();
+    expect(comments[0].replies).toHaveLength(1);
+  });
+
+  test('only the author can edit a comment', async () => {
+    const owner = await createUser();
+    const watcher = await createUser();
+    const task = await createTask(owner, { watchers: [watcher._id] });
+    const posted = await comment(watcher, task, { body: 'Looks good' });
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task._id}/comments/${posted._id}`)
+      .set('Authorization', await authHeader(owner))
+      .send({ body: 'Looks bad' });
+
+    expect(res.status).toBe(403);
+    expect((await threadsOf(owner, task)).comments[0].body).toBe('Looks good');
+  });
+
+  test('users who cannot see the task cannot comment on it', async () => {
+    const owner = await createUser();
+    const stranger = await createUser();
+    const task = await createTask(owner);
+
+    const res = await request(app)
+      .post(`/api/v1/tasks/${task._id}/comments`)
+      .set('Authorization', await authHeader(stranger))
+      .send({ body: 'Hello' });
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  memoryDb.clear();
+});
+
+const DUE_DATE = new Date('2030-01-01T09:00:00Z');
+
+const update = (id, authorization, body, { scope, ifMatch } = {}) => {
+  const req = request(app)
+    .put(`/api/v1/tasks/${id}`)
+    .query(scope ? { scope } : {})
+    .set('Authorization', authorization)
+    .send(body);
+  return ifMatch ? req.set('If-Match', ifMatch) : req;
+};
+
+// Have someone else save the task right after the route has loaded it, by bumping its
+// version when the route goes on to look up the series
+const changeConcurrently = (taskId) => {
+  const findById = TaskSeries.findById.bind(TaskSeries);
+  jest.spyOn(TaskSeries, 'findById').mockImplementationOnce(async (...args) => {
+    await Task.updateOne({ _id: taskId }, { title: 'Changed elsewhere', $inc: { version: 1 } });
+    return findById(...args);
+  });
+};
+
+// A daily series with two occurrences, the second being the latest
+const createSeries = async (user, authorization) => {
+  const first = await createTask(user, { dueDate: DUE_DATE });
+  const res = await update(first.id, authorization, { recurrence: { frequency: 'daily' } });
+  expect(res.status).toBe(200);
+
+  const series = await TaskSeries.findById(res.body.data.task.series);
+  const second = await series.advance();
+  return { first, second, series };
+};
+
+describe('concurrent task updates', () => {
+  test('only the first of two updates to the same version wins', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    const task = await createTask(user);
+
+    const loaded = await request(app).get(`/api/v1/tasks/${task.id}`).set('Authorization', authorization);
+    const etag = loaded.headers.etag;
+
+    const first = await update(task.id, authorization, { title: 'First' }, { ifMatch: etag });
+    const second = await update(task.id, authorization, { title: 'Second' }, { ifMatch: etag });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(412);
+    expect(second.body.data.task.title).toBe('First');
+  });
+
+  test('a lost race changes neither the series nor its other occurrences', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    const { first, second, series } = await createSeries(user, authorization);
+
+    changeConcurrently(second._id);
+    const res = await update(second.id, authorization, { title: 'Renamed', priority: 'high' }, { scope: 'series' });
+
+    expect(res.status).toBe(412);
+    expect(res.body.data.task.title).toBe('Changed elsewhere');
+    expect((await TaskSeries.findById(series._id)).template.title).toBe(first.title);
+    expect((await Task.findById(first._id)).title).toBe(first.title);
+    expect((await Task.findById(first._id)).priority).toBe('medium');
+  });
+
+  test('a lost race does not start a series', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    const task = await createTask(user, { dueDate: DUE_DATE });
+    jest.spyOn(Task.prototype, 'validate').mockImplementationOnce(async function() {
+      await Task.updateOne({ _id: task._id }, { $inc: { version: 1 } });
+    });
+
+    const res = await update(task.id, authorization, { recurrence: { frequency: 'daily' } });
+
+    expect(res.status).toBe(412);
+    expect(await TaskSeries.countDocuments()).toBe(0);
+    expect((await Task.findById(task._id)).series).toBeNull();
+  });
+
+  test('completing the latest occurrence with series changes creates the next one from them', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    const { second, series } = await createSeries(user, authorization);
+
+    const res = await update(second.id, authorization, { status: 'completed', title: 'Renamed' }, { scope: 'series' });
+
+    expect(res.status).toBe(200);
+    const next = await Task.findOne({ series: series._id, occurrence: 3 });
+    expect(next).not.toBeNull();
+    expect(next.title).toBe('Renamed');
+  });
+});
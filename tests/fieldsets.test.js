@@ -0,0 +1,54 @@
+const request = require('supertest');
+const Tag = require('../models/Tag');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('sparse fieldsets', () => {
+  let user;
+  let authorization;
+  let task;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+    const tag = await Tag.create({ name: 'errands', owner: user._id });
+    task = await createTask(user, { title: 'Groceries', tags: [tag._id] });
+  });
+
+  const list = (query) => request(app).get('/api/v1/tasks').query(query).set('Authorization', authorization);
+
+  test('returns only the requested fields', async () => {
+    const res = await list({ fields: 'title,status' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tasks).toEqual([{ _id: task.id, title: 'Groceries', status: 'pending' }]);
+
+    const single = await request(app)
+      .get(`/api/v1/tasks/${task._id}`)
+      .query({ fields: 'title' })
+      .set('Authorization', authorization);
+    expect(single.body.data.task).toEqual({ _id: task.id, title: 'Groceries' });
+  });
+
+  test('populates only the included relations', async () => {
+    const res = await list({ include: 'createdBy' });
+
+    const [listed] = res.body.data.tasks;
+    expect(listed.createdBy).toEqual(expect.objectContaining({ name: user.name }));
+    expect(listed.tags).toEqual([String(task.tags[0])]);
+
+    const none = await list({ fields: 'createdBy,tags', include: '' });
+    expect(none.body.data.tasks[0]).toEqual({ _id: task.id, createdBy: user.id, tags: [String(task.tags[0])] });
+  });
+
+  test('rejects unknown fields and relations', async () => {
+    const field = await list({ fields: 'title,password' });
+    expect(field.status).toBe(400);
+    expect(field.body.message).toBe('Unknown field: password');
+
+    const relation = await list({ include: 'comments' });
+    expect(relation.status).toBe(400);
+  });
+});
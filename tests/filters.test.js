@@ -0,0 +1,83 @@
+const request = require('supertest');
+const Task = require('../models/Task');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+const titlesOf = (res) => res.body.data.tasks.map(task => task.title).sort();
+
+describe('task list filters', () => {
+  let user;
+  let authorization;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+  });
+
+  const list = (query) => request(app).get('/api/v1/tasks').query(query).set('Authorization', authorization);
+
+  test('combines a prefix search with a status filter', async () => {
+    await createTask(user, { title: 'Deploy the API', status: 'pending' });
+    await createTask(user, { title: 'Deployment notes', status: 'completed' });
+    await createTask(user, { title: 'Write docs', status: 'pending' });
+
+    const res = await list({ q: 'deplo*', status: 'pending' });
+
+    expect(res.status).toBe(200);
+    expect(titlesOf(res)).toEqual(['Deploy the API']);
+    expect(res.body.data.tasks[0].highlights.title).toContainEqual({ value: 'Deploy', type: 'hit' });
+  });
+
+  test('combines a prefix search with date and overdue filters', async () => {
+    const past = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await createTask(user, { title: 'Deploy late', dueDate: past });
+    await createTask(user, { title: 'Deploy later', dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+    await createTask(user, { title: 'Deploy someday' });
+
+    expect(titlesOf(await list({ q: 'deploy*', overdue: 'true' }))).toEqual(['Deploy late']);
+    expect(titlesOf(await list({ q: 'deploy*', hasDueDate: 'false' }))).toEqual(['Deploy someday']);
+  });
+
+  test('takes filter operators', async () => {
+    await createTask(user, { title: 'Pending', status: 'pending' });
+    await createTask(user, { title: 'Started', status: 'in-progress' });
+    await createTask(user, { title: 'Done', status: 'completed' });
+
+    expect(titlesOf(await list({ 'status[in]': 'pending,in-progress' }))).toEqual(['Pending', 'Started']);
+    expect(titlesOf(await list({ 'status[ne]': 'completed' }))).toEqual(['Pending', 'Started']);
+    expect((await list({ 'status[gt]': 'pending' })).status).toBe(400);
+  });
+
+  test('sorts priorities by rank rather than name', async () => {
+    await createTask(user, { title: 'Low', priority: 'low' });
+    await createTask(user, { title: 'High', priority: 'high' });
+    await createTask(user, { title: 'Medium', priority: 'medium' });
+
+    const res = await list({ sort: '-priority' });
+
+    expect(res.body.data.tasks.map(task => task.title)).toEqual(['High', 'Medium', 'Low']);
+  });
+
+  test('rejects unknown parameters', async () => {
+    const res = await list({ owner: 'me' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Unknown query parameter: owner');
+  });
+
+  test('bulk actions with a prefix search keep the other filters', async () => {
+    const done = await createTask(user, { title: 'Deploy v1', status: 'completed' });
+    const open = await createTask(user, { title: 'Deploy v2', status: 'pending' });
+
+    const res = await request(app)
+      .post('/api/v1/tasks/bulk')
+      .set('Authorization', authorization)
+      .send({ action: 'delete', filter: { q: 'deplo*', status: 'completed' } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([{ id: done.id, status: 'success' }]);
+    expect(await Task.findById(open._id)).not.toBeNull();
+  });
+});
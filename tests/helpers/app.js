@@ -0,0 +1,64 @@
+// The API as server.js mounts it, without the logger, rate limit, database connection or listener
+const express = require('express');
+const authRoutes = require('../../routes/auth');
+const twoFactorRoutes = require('../../routes/twoFactor');
+const accessTokenRoutes = require('../../routes/accessTokens');
+const oidcRoutes = require('../../routes/oidc');
+const taskRoutes = require('../../routes/tasks');
+const tagRoutes = require('../../routes/tags');
+const projectRoutes = require('../../routes/projects');
+const userRoutes = require('../../routes/users');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const { createSession } = require('../../middleware/auth');
+const memoryDb = require('./memoryDb');
+
+const app = express();
+app.use(express.json());
+
+app.use('/api/v1/auth/2fa', twoFactorRoutes);
+app.use('/api/v1/auth/tokens', accessTokenRoutes);
+app.use('/api/v1/auth/oidc', oidcRoutes);
+app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/tasks', taskRoutes);
+app.use('/api/v1/tags', tagRoutes);
+app.use('/api/v1/projects', projectRoutes);
+app.use('/api/v1/users', userRoutes);
+
+// Every model is registered once the routes are loaded
+memoryDb.connect();
+
+let userCount = 0;
+
+// Create a verified user; the password is "password123"
+const createUser = (fields = {}) => {
+  userCount += 1;
+  return User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'password123',
+    emailVerified: true,
+    ...fields
+  });
+};
+
+// Authorization header for a fresh session of the user
+const authHeader = async (user) => {
+  const { token } = await createSession(user, '127.0.0.1');
+  return `Bearer ${token}`;
+};
+
+// Create a task owned by the user
+const createTask = (user, fields = {}) => Task.create({
+  title: 'A task',
+  description: 'Something to do',
+  createdBy: user._id,
+  ...fields
+});
+
+module.exports = {
+  app,
+  createUser,
+  createTask,
+  authHeader
+};
@@ -0,0 +1,238 @@
+// In-memory stand-in for MongoDB, so route tests run without a database server.
+//
+// The collection methods Mongoose calls (find, insertOne, updateOne, aggregate, ...) are
+// replaced on each model's collection. Mongoose still casts, validates and runs its hooks;
+// only the storage below it is faked. Queries, updates and pipelines run through mingo.
+require('mingo/init/system');
+const mingo = require('mingo');
+const { update: applyOperator } = require('mingo/updater');
+const mongoose = require('mongoose');
+
+const { ObjectId } = mongoose.Types;
+
+// Documents of every collection, by collection name
+const store = new Map();
+
+const documents = (name) => {
+  if (!store.has(name)) store.set(name, []);
+  return store.get(name);
+};
+
+// Deep copy that keeps ObjectIds, so stored documents never share state with callers
+const clone = (value) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value._bsontype || Buffer.isBuffer(value) || value instanceof RegExp) return value;
+  if (Array.isArray(value)) return value.map(clone);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+// BSON sort order for the types the app stores
+const TYPE_ORDER = ['null', 'number', 'string', 'object', 'array', 'objectId', 'boolean', 'date'];
+
+const typeOf = (value) => {
+  if (value == null) return 'null';
+  if (value instanceof Date) return 'date';
+  if (Array.isArray(value)) return 'array';
+  if (value._bsontype === 'ObjectId') return 'objectId';
+  return typeof value;
+};
+
+const compareValues = (a, b, collation) => {
+  const typeA = typeOf(a);
+  const typeB = typeOf(b);
+  if (typeA !== typeB) return TYPE_ORDER.indexOf(typeA) - TYPE_ORDER.indexOf(typeB);
+
+  switch (typeA) {
+    case 'null': return 0;
+    case 'date': return a.getTime() - b.getTime();
+    case 'objectId': return a.toHexString().localeCompare(b.toHexString());
+    case 'string':
+      if (collation) return a.localeCompare(b, collation.locale, { sensitivity: 'accent' });
+      return a < b ? -1 : (a > b ? 1 : 0);
+    case 'boolean': return Number(a) - Number(b);
+    case 'number': return a - b;
+    default: return 0;
+  }
+};
+
+const sortDocuments = (docs, sort, collation) => {
+  const keys = Object.entries(sort || {});
+  if (keys.length === 0) return docs;
+
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const order = compareValues(get(a, path), get(b, path), collation);
+      if (order !== 0) return order * direction;
+    }
+    return 0;
+  });
+};
+
+const matching = (name, filter) => mingo.find(documents(name), filter || {}).all();
+
+const project = (docs, projection) => (
+  projection && Object.keys(projection).length > 0
+    ? mingo.find(docs.map(clone), {}, projection).all()
+    : docs.map(clone)
+);
+
+// Apply an update document, one operator at a time as mingo expects. Plain fields replace the document.
+const applyUpdate = (doc, updateDoc, inserting) => {
+  const operators = Object.keys(updateDoc).filter(key => key.startsWith('$'));
+  if (operators.length === 0) {
+    Object.keys(doc).filter(key => key !== '_id').forEach(key => delete doc[key]);
+    Object.assign(doc, clone(updateDoc));
+    return;
+  }
+
+  for (const operator of operators) {
+    if (operator === '$setOnInsert') {
+      if (inserting) applyOperator(doc, { $set: clone(updateDoc[operator]) });
+      continue;
+    }
+    applyOperator(doc, { [operator]: clone(updateDoc[operator]) });
+  }
+};
+
+// Document an upsert starts from: the equality conditions of the filter
+const upsertBase = (filter) => {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key.startsWith('$')) continue;
+    const isOperator = value && typeof value === 'object' && !Array.isArray(value) && !value._bsontype &&
+      !(value instanceof Date) && Object.keys(value).some(name => name.startsWith('$'));
+    if (!isOperator) doc[key] = clone(value);
+  }
+  return doc;
+};
+
+const cursorOf = (docs) => ({
+  toArray: async () => docs
+});
+
+const createCollection = (name) => ({
+  find(filter, options = {}) {
+    let docs = sortDocuments(matching(name, filter), options.sort, options.collation);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return cursorOf(project(docs, options.projection));
+  },
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocuments(matching(name, filter), options.sort, options.collation);
+    return doc ? project([doc], options.projection)[0] : null;
+  },
+
+  async countDocuments(filter) {
+    return matching(name, filter).length;
+  },
+
+  async estimatedDocumentCount() {
+    return documents(name).length;
+  },
+
+  async distinct(field, filter) {
+    const values = matching(name, filter).flatMap(doc => [].concat(get(doc, field)));
+    return values.filter((value, index) => values.findIndex(other => compareValues(other, value) === 0) === index);
+  },
+
+  async insertOne(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    documents(name).push(stored);
+    return { acknowledged: true, insertedId: stored._id };
+  },
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return { acknowledged: true, insertedCount: docs.length, insertedIds };
+  },
+
+  async updateOne(filter, updateDoc, options = {}) {
+    const [doc] = matching(name, filter);
+    if (doc) {
+      applyUpdate(doc, updateDoc, false);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (options.upsert) {
+      const inserted = { _id: new ObjectId(), ...upsertBase(filter) };
+      applyUpdate(inserted, updateDoc, true);
+      documents(name).push(inserted);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+  },
+
+  async updateMany(filter, updateDoc, options = {}) {
+    const docs = matching(name, filter);
+    if (docs.length === 0 && options.upsert) {
+      return this.updateOne(filter, updateDoc, options);
+    }
+    docs.forEach(doc => applyUpdate(doc, updateDoc, false));
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+  },
+
+  async findOneAndUpdate(filter, updateDoc, options = {}) {
+    let [doc] = sortDocuments(matching(name, filter), options.sort);
+    const before = doc ? clone(doc) : null;
+
+    if (doc) {
+      applyUpdate(doc, updateDoc, false);
+    } else if (options.upsert) {
+      doc = { _id: new ObjectId(), ...upsertBase(filter) };
+      applyUpdate(doc, updateDoc, true);
+      documents(name).push(doc);
+    }
+
+    const value = options.returnDocument === 'after' ? doc : before;
+    return { ok: 1, value: value ? project([value], options.projection)[0] : null };
+  },
+
+  async findOneAndDelete(filter, options = {}) {
+    const [doc] = sortDocuments(matching(name, filter), options.sort);
+    if (doc) {
+      store.set(name, documents(name).filter(item => item !== doc));
+    }
+    return { ok: 1, value: doc ? project([doc], options.projection)[0] : null };
+  },
+
+  async deleteOne(filter) {
+    const [doc] = matching(name, filter);
+    store.set(name, documents(name).filter(item => item !== doc));
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  },
+
+  async deleteMany(filter) {
+    const docs = matching(name, filter);
+    store.set(name, documents(name).filter(item => !docs.includes(item)));
+    return { acknowledged: true, deletedCount: docs.length };
+  },
+
+  aggregate(pipeline) {
+    return cursorOf(mingo.aggregate(documents(name).map(clone), pipeline));
+  }
+});
+
+// Back every registered model with the in-memory store
+const connect = () => {
+  mongoose.set('bufferCommands', false);
+  for (const name of mongoose.modelNames()) {
+    const { collection } = mongoose.model(name);
+    Object.assign(collection, createCollection(collection.collectionName));
+  }
+};
+
+// Remove every stored document, e.g. between tests
+const clear = () => store.clear();
+
+module.exports = {
+  connect,
+  clear,
+  documents
+};
@@ -0,0 +1,60 @@
+const request = require('supertest');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('task history', () => {
+  test('records who changed which fields, newest first', async () => {
+    const owner = await createUser();
+    const assignee = await createUser();
+    const authorization = await authHeader(owner);
+
+    const created = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'Draft', description: 'Write it' });
+    const taskId = created.body.data.task._id;
+
+    await request(app)
+      .put(`/api/v1/tasks/${taskId}`)
+      .set('Authorization', authorization)
+      .send({ title: 'Final', assignee: assignee._id });
+
+    const res = await request(app).get(`/api/v1/tasks/${taskId}/history`).set('Authorization', authorization);
+
+    expect(res.status).toBe(200);
+    const { history, references, pagination } = res.body.data;
+    expect(pagination.total).toBe(2);
+    expect(history.map(entry => entry.action)).toEqual(['updated', 'created']);
+    expect(history[0].actor.name).toBe(owner.name);
+    expect(history[0].changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'title', from: 'Draft', to: 'Final' }),
+      expect.objectContaining({ field: 'assignee', from: null, to: assignee.id })
+    ]));
+    expect(references.users[assignee.id].name).toBe(assignee.name);
+  });
+
+  test('an update that changes nothing is not recorded', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    const task = await createTask(user, { title: 'Same' });
+
+    await request(app).put(`/api/v1/tasks/${task._id}`).set('Authorization', authorization).send({ title: 'Same' });
+
+    const res = await request(app).get(`/api/v1/tasks/${task._id}/history`).set('Authorization', authorization);
+    expect(res.body.data.history.map(entry => entry.action)).toEqual(['created']);
+  });
+
+  test('is only shown to users who can see the task', async () => {
+    const owner = await createUser();
+    const stranger = await createUser();
+    const task = await createTask(owner);
+
+    const res = await request(app)
+      .get(`/api/v1/tasks/${task._id}/history`)
+      .set('Authorization', await authHeader(stranger));
+
+    expect(res.status).toBe(404);
+  });
+});
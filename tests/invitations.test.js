@@ -0,0 +1,68 @@
+const request = require('supertest');
+const User = require('../models/User');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+beforeEach(() => {
+  global.sentMail = [];
+});
+afterEach(() => memoryDb.clear());
+
+// Create an invitation as a new admin; returns the response body data
+const invite = async (fields) => {
+  const admin = await createUser({ role: 'admin' });
+  const res = await request(app)
+    .post('/api/v1/users/invitations')
+    .set('Authorization', await authHeader(admin))
+    .send(fields);
+  expect(res.status).toBe(201);
+  return res.body.data;
+};
+
+const register = (email, inviteCode) => request(app)
+  .post('/api/v1/auth/register')
+  .send({ name: 'Invited User', email, password: 'password123', inviteCode });
+
+describe('invitations', () => {
+  test('an emailed invitation creates a verified account with its role', async () => {
+    const { code, invitation } = await invite({ role: 'admin', email: 'invited@example.com' });
+    expect(invitation.codeHash).toBeUndefined();
+    expect(global.sentMail[0].text).toContain(code);
+
+    const res = await register('invited@example.com', code);
+
+    expect(res.status).toBe(201);
+    const user = await User.findOne({ email: 'invited@example.com' });
+    expect(user.role).toBe('admin');
+    expect(user.emailVerified).toBe(true);
+  });
+
+  test('an invitation can only be redeemed once', async () => {
+    const { code } = await invite({ role: 'admin' });
+
+    expect((await register('first@example.com', code)).status).toBe(201);
+
+    const res = await register('second@example.com', code);
+    expect(res.status).toBe(400);
+    expect(await User.exists({ email: 'second@example.com' })).toBeNull();
+  });
+
+  test('an invitation for one address cannot be redeemed by another', async () => {
+    const { code } = await invite({ role: 'admin', email: 'invited@example.com' });
+
+    const res = await register('someone-else@example.com', code);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('only admins can invite', async () => {
+    const user = await createUser();
+
+    const res = await request(app)
+      .post('/api/v1/users/invitations')
+      .set('Authorization', await authHeader(user))
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+});
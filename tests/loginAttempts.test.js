@@ -0,0 +1,46 @@
+process.env.LOGIN_DELAY_BASE_MS = '1';
+
+const LoginAttempt = require('../models/LoginAttempt');
+const { getLockout, recordFailedLogin } = require('../utils/loginAttempts');
+const memoryDb = require('./helpers/memoryDb');
+
+const EMAIL = 'locked@example.com';
+const IP = '10.0.0.1';
+
+beforeAll(() => memoryDb.connect());
+afterEach(() => memoryDb.clear());
+
+const failTimes = async (count) => {
+  for (let i = 0; i < count; i += 1) {
+    await recordFailedLogin(EMAIL, IP);
+  }
+};
+
+describe('login lockout', () => {
+  test('locks an email after too many failures', async () => {
+    await failTimes(5);
+
+    expect(await getLockout(EMAIL, IP)).toBeGreaterThan(0);
+  });
+
+  test('a failure after the lock has run out starts a new count', async () => {
+    await failTimes(5);
+    await LoginAttempt.updateMany({}, { lockedUntil: new Date(Date.now() - 1000) });
+
+    await recordFailedLogin(EMAIL, IP);
+
+    expect(await getLockout(EMAIL, IP)).toBe(0);
+    const attempt = await LoginAttempt.findOne({ key: `email:${EMAIL}` });
+    expect(attempt.failures).toBe(1);
+    expect(attempt.lockedUntil).toBeUndefined();
+  });
+
+  test('a failure after the window has passed starts a new count', async () => {
+    await failTimes(3);
+    await LoginAttempt.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+    await failTimes(2);
+
+    expect(await getLockout(EMAIL, IP)).toBe(0);
+  });
+});
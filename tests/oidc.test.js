@@ -0,0 +1,158 @@
+process.env.OIDC_ISSUER = 'https://idp.example.com';
+process.env.OIDC_CLIENT_ID = 'task-manager';
+
+jest.mock('../utils/oidc', () => ({
+  ...jest.requireActual('../utils/oidc'),
+  buildAuthorizationUrl: jest.fn(async ({ state }) => `https://idp.example.com/authorize?state=${state}`),
+  exchangeCode: jest.fn()
+}));
+
+const request = require('supertest');
+const { exchangeCode } = require('../utils/oidc');
+const RefreshToken = require('../models/RefreshToken');
+const AccessToken = require('../models/AccessToken');
+const User = require('../models/User');
+const { app, createUser } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => {
+  memoryDb.clear();
+  delete process.env.UNVERIFIED_ACCOUNT_MODE;
+  delete process.env.OIDC_ADMIN_GROUPS;
+});
+
+// Start a login; returns the state and the cookie the browser was given
+const startLogin = async () => {
+  const res = await request(app).get('/api/v1/auth/oidc/login');
+  expect(res.status).toBe(302);
+
+  const cookie = res.headers['set-cookie'].find(value => value.startsWith('oidc_state='));
+  expect(cookie).toMatch(/HttpOnly/);
+  expect(cookie).toMatch(/SameSite=Lax/);
+
+  return {
+    state: new URL(res.headers.location).searchParams.get('state'),
+    cookie: cookie.split(';')[0]
+  };
+};
+
+const callback = (state, cookie) => {
+  const req = request(app).get('/api/v1/auth/oidc/callback').query({ code: 'code', state });
+  return cookie ? req.set('Cookie', cookie) : req;
+};
+
+// Parameters of the fragment the callback redirects to
+const fragmentOf = (res) => new URLSearchParams(new URL(res.headers.location).hash.slice(1));
+
+describe('single sign-on callback', () => {
+  beforeEach(() => {
+    exchangeCode.mockClear();
+    exchangeCode.mockResolvedValue({ sub: 'idp-user-1', email: 'sso@example.com', email_verified: true });
+  });
+
+  test('completes a login started in the same browser', async () => {
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+
+    expect(res.status).toBe(302);
+    expect(fragmentOf(res).get('token')).toBeTruthy();
+    expect(fragmentOf(res).get('refreshToken')).toBeTruthy();
+  });
+
+  test('rejects a callback without the state cookie', async () => {
+    const { state } = await startLogin();
+
+    const res = await callback(state);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toMatch(/\/login\?error=/);
+    expect(exchangeCode).not.toHaveBeenCalled();
+    expect(await RefreshToken.countDocuments()).toBe(0);
+  });
+
+  test('rejects a state cookie from another login', async () => {
+    const { state } = await startLogin();
+    const other = await startLogin();
+
+    const res = await callback(state, other.cookie);
+
+    expect(res.headers.location).toMatch(/\/login\?error=/);
+    expect(await RefreshToken.countDocuments()).toBe(0);
+  });
+
+  test('asks for a second factor when the account has 2FA', async () => {
+    await createUser({ email: 'sso@example.com', twoFactorEnabled: true });
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+
+    expect(fragmentOf(res).get('challengeToken')).toBeTruthy();
+    expect(fragmentOf(res).get('token')).toBeNull();
+    expect(await RefreshToken.countDocuments()).toBe(0);
+  });
+
+  test('refuses unverified accounts when they are blocked', async () => {
+    process.env.UNVERIFIED_ACCOUNT_MODE = 'blocked';
+    exchangeCode.mockResolvedValue({ sub: 'idp-user-2', email: 'new@example.com', email_verified: false });
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+
+    expect(res.headers.location).toMatch(/\/login\?error=Please/);
+    expect(await RefreshToken.countDocuments()).toBe(0);
+  });
+
+  test('revokes personal access tokens when the IdP groups change the role', async () => {
+    process.env.OIDC_ADMIN_GROUPS = 'admins';
+    exchangeCode.mockResolvedValue({ sub: 'idp-user-1', email: 'sso@example.com', email_verified: true, groups: ['admins'] });
+    const user = await createUser({ email: 'sso@example.com' });
+    await AccessToken.create({
+      user: user._id,
+      name: 'CI',
+      tokenHash: 'hash',
+      prefix: 'pat_abcdef',
+      scopes: ['tasks:read'],
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    const { state, cookie } = await startLogin();
+
+    await callback(state, cookie);
+
+    expect(await AccessToken.countDocuments({ revokedAt: null })).toBe(0);
+  });
+
+  test('links an existing verified account with the same email', async () => {
+    const user = await createUser({ email: 'sso@example.com' });
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+
+    expect(fragmentOf(res).get('token')).toBeTruthy();
+    const linked = await User.findById(user._id);
+    expect(linked.identities.map(identity => identity.subject)).toEqual(['idp-user-1']);
+  });
+
+  test('does not link an account that never verified its email', async () => {
+    const user = await createUser({ email: 'sso@example.com', emailVerified: false });
+    const { state, cookie } = await startLogin();
+
+    const res = await callback(state, cookie);
+
+    expect(res.headers.location).toMatch(/\/login\?error=/);
+    expect(await RefreshToken.countDocuments()).toBe(0);
+    expect((await User.findById(user._id)).identities).toHaveLength(0);
+  });
+
+  test('verifies the email of a linked account when the IdP vouches for it', async () => {
+    exchangeCode.mockResolvedValueOnce({ sub: 'idp-user-1', email: 'sso@example.com', email_verified: false });
+    const first = await startLogin();
+    await callback(first.state, first.cookie);
+    expect((await User.findOne({ email: 'sso@example.com' })).emailVerified).toBe(false);
+
+    const second = await startLogin();
+    await callback(second.state, second.cookie);
+
+    expect((await User.findOne({ email: 'sso@example.com' })).emailVerified).toBe(true);
+  });
+});
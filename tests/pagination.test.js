@@ -0,0 +1,53 @@
+const request = require('supertest');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+const titlesOf = (res) => res.body.data.tasks.map(task => task.title);
+
+describe('cursor pagination of tasks', () => {
+  let user;
+  let authorization;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+
+    // Task 1 to 5, due one day apart
+    for (let day = 1; day <= 5; day += 1) {
+      await createTask(user, { title: `Task ${day}`, dueDate: new Date(Date.UTC(2030, 0, day)) });
+    }
+  });
+
+  const list = (query) => request(app)
+    .get('/api/v1/tasks')
+    .query({ sort: 'dueDate', limit: 2, ...query })
+    .set('Authorization', authorization);
+
+  test('pages forwards and back without skipping tasks added in between', async () => {
+    const first = await list({ includeTotal: 'true' });
+    expect(titlesOf(first)).toEqual(['Task 1', 'Task 2']);
+    expect(first.body.data.pagination).toMatchObject({ total: 5, prevCursor: null });
+
+    // Sorts before the page already seen, so it must not push Task 3 off the next page
+    await createTask(user, { title: 'Task 0', dueDate: new Date(Date.UTC(2029, 11, 31)) });
+
+    const second = await list({ after: first.body.data.pagination.nextCursor });
+    expect(titlesOf(second)).toEqual(['Task 3', 'Task 4']);
+    expect(second.body.data.pagination.total).toBeUndefined();
+    expect(second.headers.link).toMatch(/rel="prev"/);
+
+    const back = await list({ before: second.body.data.pagination.prevCursor });
+    expect(titlesOf(back)).toEqual(['Task 1', 'Task 2']);
+  });
+
+  test('a cursor only works with the sort it was made for', async () => {
+    const first = await list({});
+
+    const res = await list({ sort: '-dueDate', after: first.body.data.pagination.nextCursor });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor');
+  });
+});
@@ -0,0 +1,80 @@
+process.env.LOGIN_DELAY_BASE_MS = '1';
+
+const request = require('supertest');
+const User = require('../models/User');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+beforeEach(() => {
+  global.sentMail = [];
+});
+afterEach(() => memoryDb.clear());
+
+const login = (email, password) => request(app).post('/api/v1/auth/login').send({ email, password });
+
+describe('changing the email address', () => {
+  test('the new address replaces the old one once confirmed', async () => {
+    const user = await createUser();
+
+    const res = await request(app)
+      .patch('/api/v1/auth/me')
+      .set('Authorization', await authHeader(user))
+      .send({ email: 'moved@example.com' });
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).email).toBe(user.email);
+    expect(global.sentMail.map(mail => mail.to).sort()).toEqual(['moved@example.com', user.email].sort());
+
+    const link = global.sentMail.find(mail => mail.to === 'moved@example.com').text.match(/http\S+/)[0];
+    const verify = await request(app)
+      .get('/api/v1/auth/verify-email')
+      .query({ token: new URL(link).searchParams.get('token') });
+
+    expect(verify.status).toBe(200);
+    const updated = await User.findById(user._id);
+    expect(updated.email).toBe('moved@example.com');
+    expect(updated.pendingEmail).toBeUndefined();
+  });
+
+  test('an address used by another account is refused', async () => {
+    const user = await createUser();
+    const other = await createUser();
+
+    const res = await request(app)
+      .patch('/api/v1/auth/me')
+      .set('Authorization', await authHeader(user))
+      .send({ email: other.email });
+
+    expect(res.status).toBe(400);
+    expect(global.sentMail).toHaveLength(0);
+  });
+});
+
+describe('changing the password', () => {
+  test('signs out other sessions and keeps the current client signed in', async () => {
+    const user = await createUser();
+    const session = await authHeader(user);
+
+    const res = await request(app)
+      .post('/api/v1/auth/change-password')
+      .set('Authorization', session)
+      .send({ currentPassword: 'password123', newPassword: 'newPassword456' });
+    expect(res.status).toBe(200);
+
+    expect((await request(app).get('/api/v1/auth/me').set('Authorization', session)).status).toBe(401);
+    const fresh = `Bearer ${res.body.data.token}`;
+    expect((await request(app).get('/api/v1/auth/me').set('Authorization', fresh)).status).toBe(200);
+    expect((await login(user.email, 'newPassword456')).status).toBe(200);
+  });
+
+  test('needs the current password', async () => {
+    const user = await createUser();
+
+    const res = await request(app)
+      .post('/api/v1/auth/change-password')
+      .set('Authorization', await authHeader(user))
+      .send({ currentPassword: 'wrongPassword', newPassword: 'newPassword456' });
+
+    expect(res.status).toBe(400);
+    expect((await login(user.email, 'password123')).status).toBe(200);
+  });
+});
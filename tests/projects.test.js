@@ -0,0 +1,68 @@
+const request = require('supertest');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const TaskSeries = require('../models/TaskSeries');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('archived projects', () => {
+  let user;
+  let authorization;
+  let project;
+  let task;
+
+  // A daily series in a project, with its first occurrence due yesterday
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+    project = await Project.create({ name: 'Chores', owner: user._id });
+    task = await createTask(user, { project: project._id, dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task.id}`)
+      .set('Authorization', authorization)
+      .send({ recurrence: { frequency: 'daily' } });
+    expect(res.status).toBe(200);
+  });
+
+  const archive = (archived) => request(app)
+    .put(`/api/v1/projects/${project._id}`)
+    .set('Authorization', authorization)
+    .send({ archived });
+
+  test('take no new occurrences of their recurring series', async () => {
+    expect((await archive(true)).status).toBe(200);
+
+    const res = await request(app)
+      .put(`/api/v1/tasks/${task.id}`)
+      .set('Authorization', authorization)
+      .send({ status: 'completed' });
+    expect(res.status).toBe(200);
+
+    expect(await TaskSeries.generateDue()).toBe(0);
+    expect(await Task.countDocuments({ project: project._id })).toBe(1);
+  });
+
+  test('resume their series once restored', async () => {
+    await archive(true);
+    expect(await TaskSeries.generateDue()).toBe(0);
+
+    await archive(false);
+    expect(await TaskSeries.generateDue()).toBe(1);
+    expect(await Task.countDocuments({ project: project._id })).toBe(2);
+  });
+
+  test('take no new tasks', async () => {
+    await archive(true);
+
+    const res = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'New chore', description: 'Sweep', project: project.id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('The project does not exist or is archived');
+  });
+});
@@ -0,0 +1,64 @@
+const request = require('supertest');
+const { parseQuery } = require('../utils/search');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('search query syntax', () => {
+  test('splits words, phrases, prefixes and exclusions', () => {
+    expect(parseQuery('deploy "release notes" serv* -draft')).toEqual({
+      words: ['deploy'],
+      phrases: ['release notes'],
+      prefixes: ['serv'],
+      excluded: ['draft']
+    });
+  });
+
+  test('ignores operators without a term', () => {
+    expect(parseQuery('- * "" "')).toEqual({ words: [], phrases: [], prefixes: [], excluded: [] });
+  });
+});
+
+describe('task search', () => {
+  let user;
+  let authorization;
+
+  beforeEach(async () => {
+    user = await createUser();
+    authorization = await authHeader(user);
+  });
+
+  const search = (q) => request(app).get('/api/v1/tasks').query({ q }).set('Authorization', authorization);
+
+  test('ranks title matches above description matches', async () => {
+    await createTask(user, { title: 'Release v2', description: 'Ship it' });
+    await createTask(user, { title: 'Write docs', description: 'Cover the release process' });
+    await createTask(user, { title: 'Clean up', description: 'Nothing to see' });
+
+    const res = await search('releas*');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tasks.map(task => task.title)).toEqual(['Release v2', 'Write docs']);
+    expect(res.body.data.tasks[1].highlights.description).toContainEqual({ value: 'release', type: 'hit' });
+  });
+
+  test('leaves out tasks with an excluded word', async () => {
+    await createTask(user, { title: 'Release notes draft' });
+    await createTask(user, { title: 'Release notes' });
+
+    const res = await search('-draft');
+
+    expect(res.body.data.tasks.map(task => task.title)).toEqual(['Release notes']);
+  });
+
+  test('only finds tasks the user can see', async () => {
+    const other = await createUser();
+    await createTask(other, { title: 'Release secret' });
+
+    const res = await search('releas*');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tasks).toEqual([]);
+  });
+});
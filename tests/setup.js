@@ -0,0 +1,11 @@
+// Environment for the test suite, loaded before every test file
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { registerTransport } = require('../utils/mailer');
+
+// Sent emails are kept in memory so tests can read the links in them
+global.sentMail = [];
+registerTransport('test', async (message) => {
+  global.sentMail.push(message);
+});
@@ -0,0 +1,83 @@
+const request = require('supertest');
+const Tag = require('../models/Tag');
+const TaskSeries = require('../models/TaskSeries');
+const { app, createUser, createTask, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+describe('deleting a tag', () => {
+  test('removes it from the templates of recurring series', async () => {
+    const user = await createUser();
+    const [tag, kept] = await Tag.create([
+      { name: 'errands', owner: user._id },
+      { name: 'home', owner: user._id }
+    ]);
+    const series = await TaskSeries.create({
+      rule: { frequency: 'weekly' },
+      template: { title: 'Groceries', tags: [tag._id, kept._id] },
+      startDate: new Date(),
+      lastDueDate: new Date(),
+      createdBy: user._id
+    });
+
+    const res = await request(app)
+      .delete(`/api/v1/tags/${tag._id}`)
+      .set('Authorization', await authHeader(user));
+    expect(res.status).toBe(200);
+
+    const updated = await TaskSeries.findById(series._id);
+    expect(updated.template.tags.map(String)).toEqual([String(kept._id)]);
+  });
+});
+
+describe('tags', () => {
+  test('tags the owner\'s tasks and counts them', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+
+    const created = await request(app)
+      .post('/api/v1/tags')
+      .set('Authorization', authorization)
+      .send({ name: 'errands' });
+    expect(created.status).toBe(201);
+    const tagId = created.body.data.tag._id;
+
+    const task = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'Groceries', description: 'Milk', tags: [tagId] });
+    expect(task.status).toBe(201);
+    await createTask(user, { title: 'Untagged' });
+
+    const tags = await request(app).get('/api/v1/tags').set('Authorization', authorization);
+    expect(tags.body.data.tags).toEqual([expect.objectContaining({ name: 'errands', taskCount: 1 })]);
+
+    const tasks = await request(app).get('/api/v1/tasks').query({ tags: tagId }).set('Authorization', authorization);
+    expect(tasks.body.data.tasks.map(item => item.title)).toEqual(['Groceries']);
+  });
+
+  test('another user\'s tags cannot be used, changed or deleted', async () => {
+    const owner = await createUser();
+    const other = await createUser();
+    const authorization = await authHeader(other);
+    const tag = await Tag.create({ name: 'private', owner: owner._id });
+
+    const task = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'Sneaky', description: 'Borrow a tag', tags: [tag._id] });
+    expect(task.status).toBe(400);
+
+    const update = await request(app)
+      .put(`/api/v1/tags/${tag._id}`)
+      .set('Authorization', authorization)
+      .send({ name: 'mine' });
+    expect(update.status).toBe(404);
+
+    const remove = await request(app).delete(`/api/v1/tags/${tag._id}`).set('Authorization', authorization);
+    expect(remove.status).toBe(404);
+
+    expect((await Tag.findById(tag._id)).name).toBe('private');
+  });
+});
@@ -0,0 +1,52 @@
+const request = require('supertest');
+const Task = require('../models/Task');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+// Trashed tasks of the user, deleted one minute apart with the first one most recently
+const trashTasks = (user, count) => Task.create(
+  Array.from({ length: count }, (_, index) => ({
+    title: `Task ${index + 1}`,
+    description: 'Deleted task',
+    createdBy: user._id,
+    deletedAt: new Date(Date.now() - index * 60 * 1000),
+    deletedBy: user._id
+  }))
+);
+
+describe('listing the trash', () => {
+  test('pages through the trash with cursors', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    await trashTasks(user, 3);
+    await Task.create({ title: 'Not deleted', description: 'Kept', createdBy: user._id });
+
+    const first = await request(app)
+      .get('/api/v1/tasks/trash')
+      .query({ limit: 2 })
+      .set('Authorization', authorization);
+    expect(first.status).toBe(200);
+    expect(first.body.data.tasks.map(task => task.title)).toEqual(['Task 1', 'Task 2']);
+    expect(first.body.data.pagination).toMatchObject({ page: 1, limit: 2, total: 3, pages: 2 });
+    expect(first.headers.link).toMatch(/rel="next"/);
+
+    const second = await request(app)
+      .get('/api/v1/tasks/trash')
+      .query({ limit: 2, after: first.body.data.pagination.nextCursor })
+      .set('Authorization', authorization);
+    expect(second.body.data.tasks.map(task => task.title)).toEqual(['Task 3']);
+    expect(second.body.data.pagination.nextCursor).toBeNull();
+  });
+
+  test('rejects invalid paging parameters', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+
+    for (const query of [{ limit: 'abc' }, { page: 0 }, { page: 2, after: 'x' }, { after: 'not-a-cursor' }]) {
+      const res = await request(app).get('/api/v1/tasks/trash').query(query).set('Authorization', authorization);
+      expect(res.status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,80 @@
+process.env.LOGIN_DELAY_BASE_MS = '1';
+
+const request = require('supertest');
+const { generateCode } = require('../utils/totp');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+afterEach(() => memoryDb.clear());
+
+// Enroll the user in 2FA through the API; returns the secret and recovery codes
+const enroll = async (user) => {
+  const authorization = await authHeader(user);
+
+  const setup = await request(app).post('/api/v1/auth/2fa/setup').set('Authorization', authorization);
+  expect(setup.status).toBe(200);
+  const { secret } = setup.body.data;
+
+  const enable = await request(app)
+    .post('/api/v1/auth/2fa/enable')
+    .set('Authorization', authorization)
+    .send({ code: generateCode(secret) });
+  expect(enable.status).toBe(200);
+
+  return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+};
+
+// Log in with the password; returns the challenge token for the second step
+const passwordStep = async (user) => {
+  const res = await request(app)
+    .post('/api/v1/auth/login')
+    .send({ email: user.email, password: 'password123' });
+  expect(res.status).toBe(200);
+  expect(res.body.data.twoFactorRequired).toBe(true);
+  expect(res.body.data.token).toBeUndefined();
+  return res.body.data.challengeToken;
+};
+
+describe('two-factor login', () => {
+  test('a recovery code completes the login once', async () => {
+    const user = await createUser();
+    const { recoveryCodes } = await enroll(user);
+
+    const res = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challengeToken: await passwordStep(user), recoveryCode: recoveryCodes[0] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toBeTruthy();
+
+    const reused = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challengeToken: await passwordStep(user), recoveryCode: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+
+  test('a code outside the time window is rejected', async () => {
+    const user = await createUser();
+    const { secret } = await enroll(user);
+    const staleStep = Math.floor(Date.now() / 1000 / 30) - 10;
+
+    const res = await request(app)
+      .post('/api/v1/auth/login/2fa')
+      .send({ challengeToken: await passwordStep(user), code: generateCode(secret, staleStep) });
+
+    expect(res.status).toBe(401);
+    expect(res.body.data).toBeUndefined();
+  });
+
+  test('enabling needs a valid code', async () => {
+    const user = await createUser();
+    const authorization = await authHeader(user);
+    await request(app).post('/api/v1/auth/2fa/setup').set('Authorization', authorization);
+
+    const res = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', authorization)
+      .send({ code: '12345' });
+
+    expect(res.status).toBe(400);
+  });
+});
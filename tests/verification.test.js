@@ -0,0 +1,55 @@
+const request = require('supertest');
+const User = require('../models/User');
+const { app, createUser, authHeader } = require('./helpers/app');
+const memoryDb = require('./helpers/memoryDb');
+
+beforeEach(() => {
+  global.sentMail = [];
+});
+afterEach(() => memoryDb.clear());
+
+// Token from the link in the last verification email
+const verificationToken = () => {
+  const link = global.sentMail[global.sentMail.length - 1].text.match(/http\S+verify-email\S+/)[0];
+  return new URL(link).searchParams.get('token');
+};
+
+describe('email verification', () => {
+  test('a new account is verified through the emailed link', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New User', email: 'new@example.com', password: 'password123' });
+    expect(res.status).toBe(201);
+    expect(global.sentMail[0].to).toBe('new@example.com');
+
+    const verify = await request(app).get('/api/v1/auth/verify-email').query({ token: verificationToken() });
+
+    expect(verify.status).toBe(200);
+    expect((await User.findOne({ email: 'new@example.com' })).emailVerified).toBe(true);
+  });
+
+  test('a verification link only works once', async () => {
+    await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New User', email: 'new@example.com', password: 'password123' });
+    const token = verificationToken();
+
+    await request(app).get('/api/v1/auth/verify-email').query({ token });
+    const res = await request(app).get('/api/v1/auth/verify-email').query({ token });
+
+    expect(res.status).toBe(400);
+  });
+
+  test('unverified accounts are read-only by default', async () => {
+    const user = await createUser({ emailVerified: false });
+    const authorization = await authHeader(user);
+
+    expect((await request(app).get('/api/v1/tasks').set('Authorization', authorization)).status).toBe(200);
+
+    const res = await request(app)
+      .post('/api/v1/tasks')
+      .set('Authorization', authorization)
+      .send({ title: 'A task', description: 'Something to do' });
+    expect(res.status).toBe(403);
+  });
+});
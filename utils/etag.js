@@ -0,0 +1,36 @@
+// Strong ETags for versioned documents and the If-Match / If-None-Match checks (RFC 9110)
+
+// The ETag of a document with a version field
+const etagFor = (doc) => `"${doc.version}"`;
+
+// Entity tags listed in a conditional header; '*' is kept as is
+const parseTags = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// If-Match uses the strong comparison, so weak tags never match
+const matchesIfMatch = (header, etag) => {
+  const tags = parseTags(header);
+  return tags.includes('*') || tags.includes(etag);
+};
+
+// If-None-Match uses the weak comparison, ignoring any W/ prefix
+const matchesIfNoneMatch = (header, etag) => {
+  const tags = parseTags(header);
+  return tags.includes('*') || tags.some(tag => tag.replace(/^W\//, '') === etag);
+};
+
+// Versions named by an If-Match header, for conditional updates; null for '*'
+const versionsIn = (header) => {
+  const tags = parseTags(header);
+  if (tags.includes('*')) return null;
+  return tags
+    .map(tag => /^"(\d+)"$/.exec(tag))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+};
+
+module.exports = {
+  etagFor,
+  matchesIfMatch,
+  matchesIfNoneMatch,
+  versionsIn
+};
@@ -0,0 +1,66 @@
+// Sparse fieldsets and optional population from the query string:
+//
+//   ?fields=title,status,dueDate   only these fields (and _id) in each result
+//   ?include=createdBy,tags        populate only these relations; the others stay IDs
+//   ?include=                      populate nothing
+//
+// Without include every relation is populated, as before; with fields, only the relations
+// among the fields are. Relations named in include are returned even if fields leaves them out.
+
+const parseNames = (value) => (
+  typeof value === 'string' ? value.split(',').map(name => name.trim()).filter(Boolean) : null
+);
+
+// Read fields and include for a model whose API fields are allowed and whose relations map
+// names to populate options. Returns { fields, populate } (fields null for all) or { error }.
+const parseFieldset = (query, { allowed, relations }) => {
+  const relationNames = Object.keys(relations);
+  let fields = null;
+
+  if (query.fields !== undefined) {
+    fields = parseNames(query.fields);
+    if (!fields || fields.length === 0) {
+      return { error: `fields must be a comma-separated list of ${allowed.join(', ')}` };
+    }
+    const unknown = fields.find(name => !allowed.includes(name));
+    if (unknown) {
+      return { error: `Unknown field: ${unknown}` };
+    }
+  }
+
+  let included;
+  if (query.include !== undefined) {
+    included = parseNames(query.include);
+    if (!included) {
+      return { error: `include must be a comma-separated list of ${relationNames.join(', ')}` };
+    }
+    const unknown = included.find(name => !relationNames.includes(name));
+    if (unknown) {
+      return { error: `Cannot include ${unknown}; use ${relationNames.join(', ')}` };
+    }
+    if (fields) {
+      fields = [...new Set([...fields, ...included])];
+    }
+  } else {
+    included = fields ? relationNames.filter(name => fields.includes(name)) : relationNames;
+  }
+
+  return { fields, populate: included.map(name => relations[name]) };
+};
+
+// A document (or plain object) as JSON with only _id, the fields and any extra keys
+const pickFields = (doc, fields, extra = []) => {
+  if (!fields) return doc;
+
+  const json = typeof doc.toJSON === 'function' ? doc.toJSON() : doc;
+  return Object.fromEntries(
+    ['_id', ...fields, ...extra]
+      .filter(name => json[name] !== undefined)
+      .map(name => [name, json[name]])
+  );
+};
+
+module.exports = {
+  parseFieldset,
+  pickFields
+};
@@ -0,0 +1,82 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+const MAX_EMAIL_FAILURES = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 20;
+const LOCK_MINUTES = parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15;
+const WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 10) || 15;
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 250;
+const DELAY_MAX_MS = 5000;
+
+const emailKey = (email) => `email:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Seconds until the email or IP may try again, or 0 when neither is locked.
+// Emails are tracked whether or not an account exists, so a lockout never
+// reveals which addresses are registered.
+const getLockout = async (email, ip) => {
+  const attempts = await LoginAttempt.find({
+    key: { $in: [emailKey(email), ipKey(ip)] },
+    lockedUntil: { $gt: new Date() }
+  });
+
+  if (attempts.length === 0) return 0;
+
+  const lockedUntil = Math.max(...attempts.map(attempt => attempt.lockedUntil.getTime()));
+  return Math.ceil((lockedUntil - Date.now()) / 1000);
+};
+
+// Count one failure against a key and lock it once it reaches the limit
+const recordKeyFailure = async (key, maxFailures) => {
+  const now = new Date();
+
+  // A lock that has run out, or a window the TTL monitor has not removed yet,
+  // starts a new count instead of locking again on the next failure
+  await LoginAttempt.updateOne(
+    { key, $or: [{ lockedUntil: { $lte: now } }, { expiresAt: { $lte: now } }] },
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1 } }
+  );
+
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + WINDOW_MINUTES * 60 * 1000)
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (attempt.failures >= maxFailures) {
+    const lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+    attempt.lockedUntil = lockedUntil;
+    attempt.expiresAt = new Date(Math.max(attempt.expiresAt.getTime(), lockedUntil.getTime()));
+    await attempt.save();
+  }
+
+  return attempt.failures;
+};
+
+// Record a failed login and wait out a delay that doubles with every failure
+const recordFailedLogin = async (email, ip) => {
+  const [emailFailures] = await Promise.all([
+    recordKeyFailure(emailKey(email), MAX_EMAIL_FAILURES),
+    recordKeyFailure(ipKey(ip), MAX_IP_FAILURES)
+  ]);
+
+  await sleep(Math.min(DELAY_BASE_MS * 2 ** (emailFailures - 1), DELAY_MAX_MS));
+};
+
+// Forget the failures of an email after a successful login
+const clearFailedLogins = async (email) => {
+  await LoginAttempt.deleteOne({ key: emailKey(email) });
+};
+
+module.exports = {
+  getLockout,
+  recordFailedLogin,
+  clearFailedLogins
+};
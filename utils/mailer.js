@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { appLogger } = require('../middleware/logger');
+
+// Outbox for the file transport, used in local development and tests
+const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../outbox');
+
+// Built-in transports; each receives a message and resolves when it is sent
+const transports = {
+  console: async (message) => {
+    appLogger.info('Email sent', { to: message.to, subject: message.subject });
+    console.log(`\n--- Email to ${message.to} ---\nSubject: ${message.subject}\n\n${message.text}\n`);
+  },
+
+  file: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9.@_-]/gi, '_')}.json`;
+    await fs.promises.writeFile(
+      path.join(outboxDir, filename),
+      JSON.stringify(message, null, 2)
+    );
+    appLogger.info('Email written to outbox', { to: message.to, subject: message.subject, filename });
+  },
+
+  smtp: async (message) => {
+    await smtpTransporter().sendMail(message);
+    appLogger.info('Email sent', { to: message.to, subject: message.subject });
+  }
+};
+
+// Created on first use so SMTP_URL is read after the environment is loaded
+let transporter;
+const smtpTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport(process.env.SMTP_URL);
+  }
+  return transporter;
+};
+
+// The console transport prints whole emails, reset and verification links included,
+// so it is only used when asked for and never in production
+const transportName = () => process.env.MAIL_TRANSPORT || 'file';
+
+// Transports that keep emails on the server instead of delivering them
+const LOCAL_TRANSPORTS = {
+  console: 'prints emails to the log',
+  file: 'writes emails to the outbox directory'
+};
+
+// Throw when the mail settings are unsafe or cannot deliver; called at startup
+// so a bad setup fails early instead of on the first password reset
+const checkMailConfig = () => {
+  const name = transportName();
+
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && LOCAL_TRANSPORTS[name]) {
+    throw new Error(`MAIL_TRANSPORT=${name} ${LOCAL_TRANSPORTS[name]} and cannot be used in production`);
+  }
+
+  if (name === 'smtp' && !process.env.SMTP_URL) {
+    throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL');
+  }
+};
+
+// Plug in another transport (an email API, a test spy...)
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Send an email through the transport selected by MAIL_TRANSPORT
+const sendMail = async ({ to, subject, text, html }) => {
+  checkMailConfig();
+
+  await transports[transportName()]({
+    from: process.env.MAIL_FROM || 'no-reply@example.com',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString()
+  });
+};
+
+// Build a link to a page of the frontend application
+const frontendUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  checkMailConfig,
+  frontendUrl,
+  outboxDir
+};
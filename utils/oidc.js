@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// OpenID Connect authorization-code flow with PKCE against one identity provider
+
+const config = () => ({
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: process.env.OIDC_CLIENT_ID,
+  clientSecret: process.env.OIDC_CLIENT_SECRET,
+  redirectUri: process.env.OIDC_REDIRECT_URI
+    || `http://localhost:${process.env.PORT || 5000}/api/v1/auth/oidc/callback`,
+  scopes: process.env.OIDC_SCOPES || 'openid email profile',
+  groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  adminGroups: (process.env.OIDC_ADMIN_GROUPS || '').split(',').map(group => group.trim()).filter(Boolean),
+  providerName: process.env.OIDC_PROVIDER_NAME || 'SSO'
+});
+
+const isEnabled = () => Boolean(config().issuer && config().clientId);
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// Discovery document and signing keys are cached for the process lifetime
+let discoveryCache = null;
+let jwksCache = null;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json();
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed: ${body.error_description || body.error || response.status}`);
+  }
+  return body;
+};
+
+const discover = async () => {
+  if (!discoveryCache) {
+    discoveryCache = await fetchJson(`${config().issuer}/.well-known/openid-configuration`);
+  }
+  return discoveryCache;
+};
+
+// Find the signing key by kid, refetching the JWKS once in case keys rotated
+const getSigningKey = async (kid) => {
+  const findKey = () => jwksCache && jwksCache.keys.find(key => !kid || key.kid === kid);
+
+  if (!findKey()) {
+    const { jwks_uri: jwksUri } = await discover();
+    jwksCache = await fetchJson(jwksUri);
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error('OIDC signing key not found');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Random state, nonce and PKCE verifier for one login attempt
+const createAuthRequest = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+
+  return {
+    state: base64url(crypto.randomBytes(16)),
+    nonce: base64url(crypto.randomBytes(16)),
+    codeVerifier,
+    codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest())
+  };
+};
+
+const buildAuthorizationUrl = async ({ state, nonce, codeChallenge }) => {
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+  const { clientId, redirectUri, scopes } = config();
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope: scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange the authorization code and return the verified ID token claims
+const exchangeCode = async (code, codeVerifier, nonce) => {
+  const { token_endpoint: tokenEndpoint, issuer } = await discover();
+  const { clientId, clientSecret, redirectUri } = config();
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+  if (clientSecret) {
+    params.set('client_secret', clientSecret);
+  }
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('OIDC token response has no id_token');
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) {
+    throw new Error('OIDC id_token is malformed');
+  }
+
+  const key = await getSigningKey(header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    audience: clientId,
+    issuer
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('OIDC nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Map IdP groups to a role; null when no admin groups are configured
+const mapRole = (claims) => {
+  const { groupsClaim, adminGroups } = config();
+  if (adminGroups.length === 0) return null;
+
+  const groups = [].concat(claims[groupsClaim] || []);
+  return groups.some(group => adminGroups.includes(group)) ? 'admin' : 'user';
+};
+
+module.exports = {
+  config,
+  isEnabled,
+  createAuthRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  mapRole
+};
@@ -0,0 +1,202 @@
+// Page and cursor pagination for list endpoints.
+//
+// Lists can be paged two ways:
+//   ?page=3&limit=20       offset paging, counts the total by default
+//   ?after=<cursor>        the rows after (or ?before= before) a row of a previous page
+//
+// Cursors are opaque to clients: base64url JSON with the sort the cursor was made for and
+// the row's values of the sort fields, ending with _id so every row has a unique position.
+// They stay correct while rows are added or removed, and do not slow down on deep pages.
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// Read page, limit, after, before and includeTotal from a query string.
+// Returns { error } for invalid values; limits above MAX_LIMIT are lowered to it.
+const parsePagination = (query) => {
+  const { page, limit, after, before, includeTotal } = query;
+  const cursor = after || before;
+
+  const parsedLimit = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  const parsedPage = page === undefined ? 1 : Number(page);
+
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+    return { error: 'limit must be a positive integer' };
+  }
+  if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+    return { error: 'page must be a positive integer' };
+  }
+  if ((after && before) || (cursor && page !== undefined)) {
+    return { error: 'Use only one of page, after and before' };
+  }
+  if (cursor !== undefined && typeof cursor !== 'string') {
+    return { error: 'Invalid cursor' };
+  }
+  if (includeTotal !== undefined && !['true', 'false'].includes(includeTotal)) {
+    return { error: 'includeTotal must be true or false' };
+  }
+
+  return {
+    limit: Math.min(parsedLimit, MAX_LIMIT),
+    page: cursor ? null : parsedPage,
+    cursor: cursor || null,
+    backwards: Boolean(before),
+    // Counting is opt-in for cursor paging, and kept by default for page numbers
+    includeTotal: includeTotal === undefined ? !cursor : includeTotal === 'true'
+  };
+};
+
+// The sort with _id as the final tiebreaker, in the direction of the last field
+const stableSort = (sort) => {
+  if (sort._id) return sort;
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : 1 };
+};
+
+const reverseSort = (sort) => Object.fromEntries(
+  Object.entries(sort).map(([field, direction]) => [field, -direction])
+);
+
+const sortSignature = (sort) => Object.entries(sort)
+  .map(([field, direction]) => `${direction < 0 ? '-' : ''}${field}`)
+  .join(',');
+
+// Cursor values are tagged so they decode to plain values only, never to query operators
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const decodeValue = (value) => {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) return value;
+
+  if (typeof value.d === 'string' && Object.keys(value).length === 1) {
+    const date = new Date(value.d);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  if (typeof value.o === 'string' && Object.keys(value).length === 1 && mongoose.Types.ObjectId.isValid(value.o)) {
+    return new mongoose.Types.ObjectId(value.o);
+  }
+  throw new Error('Invalid cursor value');
+};
+
+const encodeCursor = (row, sort) => Buffer.from(JSON.stringify({
+  s: sortSignature(sort),
+  v: Object.keys(sort).map(field => encodeValue(row[field]))
+})).toString('base64url');
+
+// The sort values in a cursor, or null if it is malformed or was made for another sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sortSignature(sort) || !Array.isArray(v) || v.length !== Object.keys(sort).length) {
+      return null;
+    }
+    return v.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows strictly past the value in the given direction. MongoDB sorts null (and missing)
+// values first, so they come before every value going up and after them going down.
+const pastValue = (field, direction, value) => {
+  if (direction > 0) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Rows after the cursor row in sort order (before it when going backwards)
+const cursorCondition = (sort, values, backwards) => {
+  const fields = Object.entries(sort);
+  const branches = fields
+    .map(([field, direction], index) => {
+      const past = pastValue(field, backwards ? -direction : direction, values[index]);
+      if (!past) return null;
+
+      const equal = fields.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+      return equal.length > 0 ? { $and: [...equal, past] } : past;
+    })
+    .filter(Boolean);
+
+  return { $or: branches };
+};
+
+// How to fetch the requested page: the extra conditions, sort, skip and limit. The limit is
+// one more than the page size, to tell whether another page follows. { error } for a bad cursor.
+const pageQuery = (pagination, sort) => {
+  const { limit, page, cursor, backwards } = pagination;
+
+  if (!cursor) {
+    return { conditions: null, sort, skip: (page - 1) * limit, limit: limit + 1 };
+  }
+
+  const values = decodeCursor(cursor, sort);
+  if (!values) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return {
+    conditions: cursorCondition(sort, values, backwards),
+    sort: backwards ? reverseSort(sort) : sort,
+    skip: 0,
+    limit: limit + 1
+  };
+};
+
+// The page of rows fetched with pageQuery, and its pagination details
+const pageResult = (rows, pagination, sort, total) => {
+  const { limit, page, cursor, backwards } = pagination;
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasPrevious = backwards ? hasMore : Boolean(cursor) || page > 1;
+  const hasNext = backwards ? true : hasMore;
+
+  const info = {
+    limit,
+    nextCursor: hasNext && last ? encodeCursor(last, sort) : null,
+    prevCursor: hasPrevious && first ? encodeCursor(first, sort) : null
+  };
+  if (page) {
+    info.page = page;
+  }
+  if (total !== undefined) {
+    info.total = total;
+    info.pages = Math.ceil(total / limit);
+  }
+
+  return { items, pagination: info };
+};
+
+// Link header (RFC 8288) with the first, previous and next pages of the request's list
+const setLinkHeader = (req, res, pagination) => {
+  const link = (params, rel) => {
+    const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    ['page', 'after', 'before'].forEach(name => url.searchParams.delete(name));
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    return `<${url.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [link({}, 'first')];
+  if (pagination.prevCursor) links.push(link({ before: pagination.prevCursor }, 'prev'));
+  if (pagination.nextCursor) links.push(link({ after: pagination.nextCursor }, 'next'));
+
+  res.set('Link', links.join(', '));
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  stableSort,
+  pageQuery,
+  pageResult,
+  setLinkHeader
+};
@@ -0,0 +1,130 @@
+// Filters and sorting from the query string, limited to allow-listed fields and operators.
+//
+//   ?status=pending                   equal (a repeated parameter means any of the values)
+//   ?status[in]=pending,in-progress   any of the values, [nin] none of them, [ne] not equal
+//   ?dueDate[gte]=2024-01-01          ranges with [gt], [gte], [lt] and [lte]
+//   ?sort=-priority,dueDate           sort fields in order, - for descending
+//
+// Operators map to MongoDB operators here, and nothing from the query string is passed on
+// as a key, so clients cannot inject operators of their own.
+
+const OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  in: '$in',
+  nin: '$nin',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte'
+};
+
+const LIST_OPERATORS = ['in', 'nin'];
+
+// Operators each type of field accepts
+const TYPE_OPERATORS = {
+  enum: ['eq', 'ne', 'in', 'nin'],
+  date: ['gt', 'gte', 'lt', 'lte']
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Values of a list operator, given comma-separated or as repeated parameters
+const parseList = (value) => [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean);
+
+// One value of a field, or undefined if it is invalid
+const parseValue = (value, spec) => {
+  if (typeof value !== 'string') return undefined;
+  if (spec.type === 'date') return parseDate(value) || undefined;
+  return spec.values.includes(value) ? value : undefined;
+};
+
+// The MongoDB condition for a field filter, given as a value, a list of values, or an object
+// of operators. spec is { type: 'enum', values } or { type: 'date' }. Returns { condition } or { error }.
+const parseFieldFilter = (field, input, spec) => {
+  const operators = TYPE_OPERATORS[spec.type];
+  const expected = spec.type === 'date'
+    ? `a date, with one of the operators ${operators.join(', ')}`
+    : `one of ${spec.values.join(', ')}`;
+
+  let clauses;
+  if (typeof input === 'string' || Array.isArray(input)) {
+    clauses = Array.isArray(input) ? { in: input } : { eq: input };
+  } else if (input && typeof input === 'object') {
+    clauses = input;
+  } else {
+    return { error: `Invalid value for ${field}` };
+  }
+
+  const condition = {};
+  for (const [operator, value] of Object.entries(clauses)) {
+    if (!operators.includes(operator)) {
+      return { error: `Unsupported operator for ${field}: ${operator}. Use one of ${operators.join(', ')}` };
+    }
+
+    if (LIST_OPERATORS.includes(operator)) {
+      if (!(typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string')))) {
+        return { error: `${field} must be ${expected}` };
+      }
+      const values = parseList(value).map(item => parseValue(item, spec));
+      if (values.length === 0 || values.includes(undefined)) {
+        return { error: `${field} must be ${expected}` };
+      }
+      condition[OPERATORS[operator]] = values;
+    } else {
+      const parsed = parseValue(value, spec);
+      if (parsed === undefined) {
+        return { error: `${field} must be ${expected}` };
+      }
+      condition[OPERATORS[operator]] = parsed;
+    }
+  }
+
+  return { condition };
+};
+
+// A true/false query parameter as a boolean, or undefined if it is neither
+const parseBoolean = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+// A sort parameter like "-priority,dueDate" as a MongoDB sort. fields maps the names clients
+// can sort by to the stored fields. Returns { sort } or { error }.
+const parseSort = (value, fields) => {
+  const names = Object.keys(fields).join(', ');
+  if (typeof value !== 'string' || !value.trim()) {
+    return { error: `sort must be a comma-separated list of ${names}` };
+  }
+
+  const sort = {};
+  for (const part of value.split(',').map(item => item.trim()).filter(Boolean)) {
+    const direction = part.startsWith('-') ? -1 : 1;
+    const name = part.replace(/^[-+]/, '');
+
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+      return { error: `Cannot sort by ${name}; use ${names}` };
+    }
+    if (sort[fields[name]] !== undefined) {
+      return { error: `${name} appears more than once in sort` };
+    }
+    sort[fields[name]] = direction;
+  }
+
+  return { sort };
+};
+
+// The first query parameter that is not allowed, if any
+const unknownParameter = (query, allowed) => Object.keys(query).find(name => !allowed.includes(name));
+
+module.exports = {
+  parseFieldFilter,
+  parseBoolean,
+  parseDate,
+  parseSort,
+  unknownParameter
+};
@@ -0,0 +1,104 @@
+// Recurrence rules for repeating tasks: a subset of RFC 5545 RRULE with
+// FREQ (daily, weekly, monthly), INTERVAL, BYDAY (weekly only), UNTIL and COUNT.
+// Dates are computed in UTC so an occurrence keeps the time of day of the first one.
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Months a monthly rule may skip in a row (a 29 February start with a yearly interval)
+const MAX_MONTH_SKIPS = 48;
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+};
+
+// Midnight on the Monday of the date's week; RRULE weeks start on Monday
+const startOfWeek = (date) => {
+  const result = addDays(date, -((date.getUTCDay() + 6) % 7));
+  result.setUTCHours(0, 0, 0, 0);
+  return result;
+};
+
+// The start date moved by whole months, or null when that month has no such day
+// (RRULE skips those months rather than moving to the last day)
+const addMonths = (start, months) => {
+  const result = new Date(start);
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  if (start.getUTCDate() > daysInMonth) return null;
+
+  result.setUTCDate(start.getUTCDate());
+  return result;
+};
+
+const nextWeekly = (rule, previous, start, interval) => {
+  if (!rule.byWeekday || rule.byWeekday.length === 0) {
+    return addDays(previous, 7 * interval);
+  }
+
+  // The first listed weekday after the previous occurrence, in a week that is
+  // a multiple of the interval away from the first occurrence's week
+  const firstWeek = startOfWeek(start);
+  for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+    const candidate = addDays(previous, offset);
+    const weeks = Math.round((startOfWeek(candidate) - firstWeek) / (7 * DAY_MS));
+    if (weeks % interval === 0 && rule.byWeekday.includes(WEEKDAYS[candidate.getUTCDay()])) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+const nextMonthly = (previous, start, interval) => {
+  const elapsed = (previous.getUTCFullYear() - start.getUTCFullYear()) * 12
+    + previous.getUTCMonth() - start.getUTCMonth();
+  const step = Math.floor(elapsed / interval) + 1;
+
+  for (let skips = 0; skips < MAX_MONTH_SKIPS; skips++) {
+    const candidate = addMonths(start, (step + skips) * interval);
+    if (candidate) return candidate;
+  }
+  return null;
+};
+
+// Due date of the occurrence after `previous` (the occurrence-th one, counting
+// from 1 at `start`), or null once the rule's count or end date is reached
+const nextOccurrence = (rule, previous, occurrence, start = previous) => {
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const interval = rule.interval || 1;
+  let next;
+  if (rule.frequency === 'daily') {
+    next = addDays(previous, interval);
+  } else if (rule.frequency === 'weekly') {
+    next = nextWeekly(rule, previous, start, interval);
+  } else if (rule.frequency === 'monthly') {
+    next = nextMonthly(previous, start, interval);
+  } else {
+    throw new Error(`Unsupported frequency: ${rule.frequency}`);
+  }
+
+  if (!next || (rule.until && next > new Date(rule.until))) return null;
+  return next;
+};
+
+// The rule as an RRULE string, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+const toRRule = (rule) => {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length > 0) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+  if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(';');
+};
+
+module.exports = {
+  FREQUENCIES,
+  WEEKDAYS,
+  nextOccurrence,
+  toRRule
+};
@@ -0,0 +1,27 @@
+const { appLogger } = require('../middleware/logger');
+
+// Run a background job now and then every intervalMs. Runs never overlap, a failed
+// run is logged and retried on the next tick, and the timer does not keep the process alive.
+const schedule = (name, intervalMs, job) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await job();
+    } catch (error) {
+      appLogger.error(`${name} failed`, { error: error.message, stack: error.stack });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { schedule };
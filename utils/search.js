@@ -0,0 +1,151 @@
+// Full-text search over task titles and descriptions.
+//
+// Query syntax:
+//   deploy server     tasks matching any word, best matches first
+//   "release notes"   tasks containing the exact phrase
+//   deplo*            words starting with "deplo"
+//   -draft            tasks not containing "draft"
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+
+// Relevance weights; must match the text index on the Task model
+const WEIGHTS = { title: 3, description: 1 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string into words, exact phrases, prefixes and exclusions
+const parseQuery = (q) => {
+  const parsed = { words: [], phrases: [], prefixes: [], excluded: [] };
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(q.slice(0, MAX_QUERY_LENGTH))) !== null) {
+    if (match[1] !== undefined) {
+      if (match[1].trim()) parsed.phrases.push(match[1].trim());
+      continue;
+    }
+
+    const token = match[2].replace(/"/g, '');
+    if (token.startsWith('-') && token.length > 1) {
+      parsed.excluded.push(token.slice(1));
+    } else if (token.endsWith('*') && token.replace(/\*+$/, '')) {
+      parsed.prefixes.push(token.replace(/\*+$/, ''));
+    } else if (token.replace(/[-*]/g, '')) {
+      parsed.words.push(token);
+    }
+  }
+
+  return parsed;
+};
+
+const prefixRegex = (prefix) => `\\b${escapeRegex(prefix)}`;
+
+// Build the match conditions and the relevance score expression for a parsed query.
+// Words and phrases use the text index; prefixes need a regex since the index only
+// matches whole (stemmed) words.
+const buildSearch = (parsed) => {
+  const conditions = {};
+  const score = [];
+
+  if (parsed.words.length > 0 || parsed.phrases.length > 0) {
+    conditions.$text = {
+      $search: [
+        ...parsed.words,
+        ...parsed.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+        ...parsed.excluded.map(word => `-${word}`)
+      ].join(' ')
+    };
+    score.push({ $meta: 'textScore' });
+  } else if (parsed.excluded.length > 0) {
+    // $text cannot be used with exclusions alone
+    conditions.$nor = parsed.excluded.map(word => ({
+      $or: [
+        { title: { $regex: `${prefixRegex(word)}\\b`, $options: 'i' } },
+        { description: { $regex: `${prefixRegex(word)}\\b`, $options: 'i' } }
+      ]
+    }));
+  }
+
+  if (parsed.prefixes.length > 0) {
+    conditions.$and = parsed.prefixes.map(prefix => ({
+      $or: [
+        { title: { $regex: prefixRegex(prefix), $options: 'i' } },
+        { description: { $regex: prefixRegex(prefix), $options: 'i' } }
+      ]
+    }));
+
+    parsed.prefixes.forEach(prefix => {
+      Object.entries(WEIGHTS).forEach(([field, weight]) => {
+        score.push({
+          $cond: [
+            { $regexMatch: { input: `$${field}`, regex: prefixRegex(prefix), options: 'i' } },
+            weight,
+            0
+          ]
+        });
+      });
+    });
+  }
+
+  return { conditions, score: { $add: score.length > 0 ? score : [0] } };
+};
+
+// Split text into plain and highlighted segments for every search term
+const highlightText = (text, parsed) => {
+  if (!text) return [];
+
+  const alternatives = [
+    ...parsed.phrases.map(escapeRegex),
+    // Whole words also highlight longer forms ("task" in "tasks"), close to what stemming matches
+    ...parsed.words.map(word => `\\b${escapeRegex(word)}\\w*`),
+    ...parsed.prefixes.map(prefix => `\\b${escapeRegex(prefix)}\\w*`)
+  ];
+
+  if (alternatives.length === 0) {
+    return [{ value: text, type: 'text' }];
+  }
+
+  // Splitting on a capturing group puts the matches at the odd indexes
+  return text
+    .split(new RegExp(`(${alternatives.join('|')})`, 'i'))
+    .map((value, index) => ({ value, type: index % 2 === 1 ? 'hit' : 'text' }))
+    .filter(segment => segment.value);
+};
+
+// Cut long text down to a window around the first hit
+const snippet = (text, parsed) => {
+  const segments = highlightText(text, parsed);
+  if (!text || text.length <= SNIPPET_LENGTH) return segments;
+
+  let offset = 0;
+  const firstHit = segments.find(segment => {
+    if (segment.type === 'hit') return true;
+    offset += segment.value.length;
+    return false;
+  });
+  const hitAt = firstHit ? offset : 0;
+
+  let start = Math.max(0, hitAt - SNIPPET_LENGTH / 4);
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  start = Math.max(0, end - SNIPPET_LENGTH);
+
+  const window = highlightText(text.slice(start, end), parsed);
+  if (start > 0) window.unshift({ value: '…', type: 'text' });
+  if (end < text.length) window.push({ value: '…', type: 'text' });
+  return window;
+};
+
+const highlight = (task, parsed) => ({
+  title: highlightText(task.title, parsed),
+  description: snippet(task.description, parsed)
+});
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  WEIGHTS,
+  escapeRegex,
+  parseQuery,
+  buildSearch,
+  highlight
+};
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory of the local driver; mount a volume here in production
+const storageDir = path.resolve(process.env.STORAGE_DIR || path.join(__dirname, '../uploads'));
+
+// Resolve a key inside the storage directory, refusing keys that would escape it
+const localPath = (key) => {
+  const filePath = path.resolve(storageDir, key);
+  if (!filePath.startsWith(storageDir + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+// Built-in drivers. Each stores buffers under opaque keys such as "<taskId>/<random>",
+// so an S3-compatible driver can map keys to object names one to one.
+const drivers = {
+  local: {
+    save: async (key, buffer) => {
+      const filePath = localPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    // Readable stream of the file; emits an error if it does not exist
+    createReadStream: (key) => fs.createReadStream(localPath(key)),
+
+    remove: async (key) => {
+      await fs.promises.rm(localPath(key), { force: true });
+    }
+  }
+};
+
+// Plug in another driver (S3, GCS, a test double...) with save, createReadStream and remove
+const registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+// The driver selected by STORAGE_DRIVER
+const getStorage = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[name];
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return driver;
+};
+
+module.exports = {
+  getStorage,
+  registerDriver,
+  storageDir
+};
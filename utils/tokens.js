@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Generate a random URL-safe token
+exports.randomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+// Hash a token before it touches the database
+exports.hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
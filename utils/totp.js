@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// the defaults every authenticator app supports
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode a buffer as unpadded RFC 4648 base32
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+// Decode base32, ignoring padding, spaces and case
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new base32 shared secret (160 bits, as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Current time step
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP value for a given time step (RFC 4226)
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Verify a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step, or null when the code is invalid.
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// otpauth:// URI understood by authenticator apps, usually shown as a QR code
+const provisioningUri = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri
+};